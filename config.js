@@ -3,12 +3,121 @@ export default {
     port: process.env.PORT || 3030,
     nodeEnv: process.env.NODE_ENV || 'development',
 
-    // ToonStream Base URL
-    baseUrl: 'https://toonstream.one',
+    // ToonStream mirrors, in order of preference. Requests fail over to the
+    // next mirror when one is unreachable. Override with the UPSTREAM_MIRRORS
+    // environment binding (comma-separated URLs).
+    upstream: {
+        mirrors: (process.env.UPSTREAM_MIRRORS || 'https://toonstream.one').split(','),
+        // WordPress AJAX endpoint and the theme action that renders a season's episodes
+        ajaxPath: '/wp-admin/admin-ajax.php',
+        seasonAction: 'action_select_season',
+        // WordPress archives listed like categories: archive type -> path
+        archives: {
+            cast: '/cast_tv',
+            tag: '/tag',
+            year: '/release',
+            network: '/network'
+        }
+    },
 
     // Cache Configuration (in seconds)
     cacheTTL: 3600,
 
+    // Cache backend: 'memory', 'kv' (Workers KV) or 'cache-api' (Workers Cache API)
+    // Can be overridden with the CACHE_BACKEND environment binding
+    cache: {
+        backend: process.env.CACHE_BACKEND || 'memory',
+        kvBinding: 'TOONSTREAM_CACHE',
+        cacheApiName: 'toonstream-api',
+        // Stale entries are served (and refreshed in the background) until
+        // the hard TTL, which defaults to soft TTL * hardTTLMultiplier
+        hardTTLMultiplier: 2,
+        // Bounds for the in-memory backend (least recently used entries are evicted)
+        memory: {
+            maxEntries: 1000,
+            maxBytes: 32 * 1024 * 1024, // ~32 MB of the 128 MB isolate limit
+            sweepInterval: 60 // Seconds between lazy sweeps of expired entries
+        }
+    },
+
+    // Cache lifetimes per resource (in seconds)
+    // ttl: how long an entry is fresh; hardTTL: how long it may be served stale
+    // while refreshing. Also used for the HTTP Cache-Control headers.
+    cacheProfiles: {
+        home: { ttl: 1800, hardTTL: 7200 },
+        search: { ttl: 600 },
+        suggestions: { ttl: 600 },
+        content: { ttl: 3600 },
+        episode: { ttl: 1800 },
+        season: { ttl: 3600 },
+        server: { ttl: 1800 },
+        category: { ttl: 1800 },
+        archive: { ttl: 1800 },
+        archives: { ttl: 7200, hardTTL: 86400 },
+        browse: { ttl: 1800 },
+        categories: { ttl: 7200, hardTTL: 86400 },
+        schedule: { ttl: 3600, hardTTL: 86400 },
+        embed: { ttl: 1800 },
+        // Values marked partial: true (e.g. details with a season that failed
+        // to load), refreshed in the background once the ttl has passed
+        partial: { ttl: 60, hardTTL: 3600 },
+        // Negative entries for content confirmed missing (404) upstream
+        notFound: { ttl: 300 },
+        // Canary reports, reused so monitoring polls do not hammer the site
+        canary: { ttl: 300, hardTTL: 300 }
+    },
+
+    // Scheduled cache warm-up (Workers cron triggers, see wrangler.toml)
+    warmup: {
+        // Category listings whose first pages are pre-warmed
+        categories: ['anime-series', 'anime-movies', 'cartoon', 'hindi-language'],
+        // Jobs to run per cron expression; crons not listed here run every job
+        schedules: {
+            '*/15 * * * *': ['home', 'schedule'],
+            '0 * * * *': ['home', 'schedule', 'latest', 'categories']
+        }
+    },
+
+    // Multi-filter browse (GET /api/browse): the upstream listing of each
+    // filter is read up to maxPages deep and the listings are intersected.
+    // Results are partial (exhaustive: false) when a listing is longer.
+    browse: {
+        maxPages: 5,
+        // Listing used for the type filter when it is the only listing filter
+        typeCategories: {
+            movie: 'anime-movies',
+            series: 'anime-series',
+            cartoon: 'cartoon'
+        }
+    },
+
+    // Layout-drift canary (GET /api/health/canary): scrapes reference content
+    // and checks that each parser still fills its fields
+    canary: {
+        references: {
+            search: 'naruto',
+            category: 'anime-series',
+            series: 'naruto-shippuden',
+            episode: 'naruto-shippuden-1x1'
+        },
+        // Minimum item counts below which a parser is considered broken
+        minimums: {
+            home: 5, // latest series + movies
+            search: 1,
+            category: 10,
+            categoryPages: 2,
+            genres: 1,
+            episodes: 1,
+            sources: 1
+        }
+    },
+
+    // Admin API (cache management). Disabled unless a token is set,
+    // preferably through the ADMIN_TOKEN secret binding
+    admin: {
+        token: process.env.ADMIN_TOKEN || null
+    },
+
     // Rate Limiting
     rateLimit: {
         windowMs: 60000, // 1 minute
@@ -18,10 +127,69 @@ export default {
     // User Agent for requests
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
 
+    // Upstream HTTP transport defaults
+    http: {
+        timeout: 30000,
+        maxRedirects: 5,
+        // 'live' (default), 'record' (fetch and save responses as fixtures)
+        // or 'replay' (serve saved fixtures, no network access)
+        mode: process.env.TRANSPORT_MODE || 'live',
+        fixturesDir: process.env.FIXTURES_DIR || 'fixtures',
+        // Politeness limits per upstream host
+        limiter: {
+            maxConcurrent: 4, // In-flight requests per host
+            minInterval: 250, // Minimum ms between request starts per host
+            queueTimeout: 15000, // Max ms a request waits for a slot
+            // Per-host overrides, e.g. { 'toonstream.one': { maxConcurrent: 2 } }
+            hosts: {}
+        }
+    },
+
+    // Selector overrides per page type, merged over the defaults in
+    // src/utils/layouts.js, e.g. { detail: { title: ['h1.entry-title'] } }.
+    // The LAYOUT_OVERRIDES environment binding (JSON) is applied on top.
+    layouts: {},
+
+    // Audio languages recognised in category tags, language badges and
+    // server labels: name -> extra aliases, matched as whole words
+    // (case-insensitive). Names are the values reported by the API.
+    // Aliases are also matched in episode titles and post classes, so avoid
+    // short codes ("ben", "spa") that appear in ordinary words and titles.
+    languages: {
+        Hindi: [],
+        Tamil: [],
+        Telugu: [],
+        Malayalam: [],
+        Kannada: [],
+        Bengali: ['bangla'],
+        Marathi: [],
+        Gujarati: [],
+        Punjabi: [],
+        Odia: ['oriya'],
+        Urdu: [],
+        English: [],
+        Japanese: [],
+        Korean: [],
+        Chinese: ['mandarin'],
+        Spanish: []
+    },
+
+    // Circuit breaker for upstream hosts (fetchPage)
+    circuitBreaker: {
+        failureThreshold: 5, // Consecutive failures before the circuit opens
+        cooldown: 30000, // ms before the first half-open probe
+        maxCooldown: 300000, // Cooldown cap (doubles after each failed probe)
+        // Seconds an entry is kept past its hard TTL, to be served marked
+        // stale: true while the circuit is open
+        lastGoodTTL: 86400
+    },
+
     // Serverless optimizations
     serverless: {
-        timeout: 10000, // 10 seconds max for Vercel
-        retryAttempts: 2,
-        retryDelay: 1000
+        timeout: 10000, // Per-attempt request timeout
+        deadline: 25000, // Overall time budget for a fetch, including retries
+        retryAttempts: 2, // Retries after the first attempt
+        retryDelay: 1000, // Base backoff delay, doubled on each retry
+        retryMaxDelay: 8000 // Backoff cap
     }
 };
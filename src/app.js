@@ -1,9 +1,15 @@
 import config from '../config.js';
 import { Hono } from 'hono';
 import { cors } from 'hono/cors';
+import { HTTPException } from 'hono/http-exception';
 import { logger } from 'hono/logger';
 import { prettyJSON } from 'hono/pretty-json';
 import { swaggerUI } from '@hono/swagger-ui';
+import { configureCache } from './utils/cache.js';
+import { configureUpstream } from './utils/upstream.js';
+import { configureLayouts } from './utils/layouts.js';
+import { runWithContext } from './utils/context.js';
+import { ApiError } from './utils/errors.js';
 // import { rateLimiter } from 'hono-rate-limiter';
 
 // Import routes
@@ -14,6 +20,11 @@ import episodeRoutes from './routes/episodes.js';
 import categoryRoutes from './routes/categories.js';
 import scheduleRoutes from './routes/schedule.js';
 import embedRoutes from './routes/embed.js';
+import adminRoutes from './routes/admin.js';
+import healthRoutes from './routes/health.js';
+import castRoutes from './routes/cast.js';
+import archiveRoutes from './routes/archives.js';
+import browseRoutes from './routes/browse.js';
 
 const app = new Hono();
 
@@ -24,10 +35,27 @@ app.use('*', cors({
     origin: '*',
     credentials: true,
     allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-    exposeHeaders: ['Content-Length', 'X-Request-Id']
+    allowHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-None-Match'],
+    exposeHeaders: ['Content-Length', 'X-Request-Id', 'ETag', 'Retry-After']
 }));
 
+// Select the cache backend (KV, Cache API or memory), upstream mirrors and layout overrides from the Worker bindings
+// and expose the execution context for background cache refreshes
+app.use('*', async (c, next) => {
+    configureCache(c.env);
+    configureUpstream(c.env);
+    configureLayouts(c.env);
+
+    let executionCtx;
+    try {
+        executionCtx = c.executionCtx;
+    } catch {
+        executionCtx = undefined; // Not running inside Workers
+    }
+
+    await runWithContext({ executionCtx }, next);
+});
+
 // Rate limiting removed for Cloudflare Workers compatibility
 // Cloudflare provides edge rate limiting
 // const limiter = rateLimiter({
@@ -47,6 +75,11 @@ app.route('/api/episode', episodeRoutes);
 app.route('/api/category', categoryRoutes);
 app.route('/api/categories', categoryRoutes);
 app.route('/api/schedule', scheduleRoutes);
+app.route('/api/cast', castRoutes);
+app.route('/api/browse', browseRoutes);
+app.route('/api', archiveRoutes); // /api/tag, /api/year, /api/network, /api/archives
+app.route('/api/admin', adminRoutes);
+app.route('/api/health', healthRoutes);
 app.route('/', embedRoutes); // Mount at root to handle both /api/source and /embed
 
 // Root endpoint - Swagger UI
@@ -63,6 +96,8 @@ app.get('/docs', (c) => {
             search: '/api/search?keyword={query}&page={page}',
             searchSuggestions: '/api/search/suggestions?keyword={query}',
             animeDetails: '/api/anime/{id}',
+            animeSeasons: '/api/anime/{id}/seasons',
+            animeSeason: '/api/anime/{id}/seasons/{n}?page={page}&limit={limit}&order={asc|desc}&language={language}',
             episode: '/api/episode/{id}',
             episodeServer: '/api/episode/{id}/servers/{serverId}',
             categories: '/api/categories',
@@ -70,6 +105,12 @@ app.get('/docs', (c) => {
             language: '/api/category/language/{lang}?page={page}',
             movies: '/api/category/type/movies?page={page}',
             series: '/api/category/type/series?page={page}',
+            cast: '/api/cast/{slug}?page={page}',
+            tag: '/api/tag/{slug}?page={page}',
+            year: '/api/year/{year}?page={page}',
+            network: '/api/network/{slug}?page={page}',
+            archives: '/api/archives',
+            browse: '/api/browse?type={type}&genre={genre}&language={language}&year={year}&sort={sort}&limit={limit}&cursor={cursor}',
             schedule: '/api/schedule',
             daySchedule: '/api/schedule/{day}',
             batchAvailability: '/api/anime/batch-availability',
@@ -78,7 +119,15 @@ app.get('/docs', (c) => {
             latestMovies: '/api/category/latest/movies',
             latestSeries: '/api/category/latest/series',
             randomMovie: '/api/category/random/movie',
-            randomSeries: '/api/category/random/series'
+            randomSeries: '/api/category/random/series',
+            canary: '/api/health/canary?parsers={parsers}',
+            adminCacheStats: '/api/admin/cache/stats',
+            adminUpstreamStats: '/api/admin/upstream/stats',
+            adminCacheKeys: '/api/admin/cache/keys?prefix={prefix}',
+            adminCacheEntry: '/api/admin/cache/entry?key={key}',
+            adminCachePurge: 'DELETE /api/admin/cache?prefix={prefix}',
+            adminCacheRefresh: 'POST /api/admin/cache/refresh?key={key}',
+            adminWarmup: 'POST /api/admin/warmup?jobs={jobs}'
         },
         openapi: '/api/openapi.json'
     });
@@ -137,6 +186,27 @@ app.get('/api/openapi.json', (c) => {
                     responses: { '200': { description: 'Successful response' } }
                 }
             },
+            '/api/anime/{id}/seasons': {
+                get: {
+                    summary: 'List season summaries',
+                    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: { '200': { description: 'Successful response' } }
+                }
+            },
+            '/api/anime/{id}/seasons/{n}': {
+                get: {
+                    summary: 'Get a season\'s episodes, paginated',
+                    parameters: [
+                        { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+                        { name: 'n', in: 'path', required: true, schema: { type: 'integer' } },
+                        { name: 'page', in: 'query', required: false, schema: { type: 'integer' } },
+                        { name: 'limit', in: 'query', required: false, schema: { type: 'integer' } },
+                        { name: 'order', in: 'query', required: false, schema: { type: 'string', enum: ['asc', 'desc'] } },
+                        { name: 'language', in: 'query', required: false, schema: { type: 'string' } }
+                    ],
+                    responses: { '200': { description: 'Successful response' } }
+                }
+            },
             '/api/anime/batch-availability': {
                 post: {
                     summary: 'Check batch availability',
@@ -239,6 +309,68 @@ app.get('/api/openapi.json', (c) => {
                     responses: { '200': { description: 'Successful response' } }
                 }
             },
+            '/api/cast/{slug}': {
+                get: {
+                    summary: 'Get a cast member\'s series, movies and cartoons',
+                    parameters: [
+                        { name: 'slug', in: 'path', required: true, schema: { type: 'string' } },
+                        { name: 'page', in: 'query', schema: { type: 'integer', default: 1 } }
+                    ],
+                    responses: { '200': { description: 'Successful response' } }
+                }
+            },
+            '/api/tag/{slug}': {
+                get: {
+                    summary: 'Get the titles with a tag',
+                    parameters: [
+                        { name: 'slug', in: 'path', required: true, schema: { type: 'string' } },
+                        { name: 'page', in: 'query', schema: { type: 'integer', default: 1 } }
+                    ],
+                    responses: { '200': { description: 'Successful response' } }
+                }
+            },
+            '/api/year/{year}': {
+                get: {
+                    summary: 'Get the titles released in a year',
+                    parameters: [
+                        { name: 'year', in: 'path', required: true, schema: { type: 'integer' } },
+                        { name: 'page', in: 'query', schema: { type: 'integer', default: 1 } }
+                    ],
+                    responses: { '200': { description: 'Successful response' } }
+                }
+            },
+            '/api/network/{slug}': {
+                get: {
+                    summary: 'Get the titles of a network or studio',
+                    parameters: [
+                        { name: 'slug', in: 'path', required: true, schema: { type: 'string' } },
+                        { name: 'page', in: 'query', schema: { type: 'integer', default: 1 } }
+                    ],
+                    responses: { '200': { description: 'Successful response' } }
+                }
+            },
+            '/api/archives': {
+                get: {
+                    summary: 'List available tags, release years and networks',
+                    responses: { '200': { description: 'Successful response' } }
+                }
+            },
+            '/api/browse': {
+                get: {
+                    summary: 'Browse titles matching several filters',
+                    description: 'Intersects the upstream listings of each filter; exhaustive is false when a listing was only partly read',
+                    parameters: [
+                        { name: 'type', in: 'query', schema: { type: 'string', enum: ['movie', 'series', 'cartoon'] } },
+                        { name: 'genre', in: 'query', schema: { type: 'string' } },
+                        { name: 'language', in: 'query', schema: { type: 'string' } },
+                        { name: 'year', in: 'query', schema: { type: 'integer' } },
+                        { name: 'sort', in: 'query', schema: { type: 'string', enum: ['latest', 'oldest', 'title'], default: 'latest' } },
+                        { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 } },
+                        { name: 'cursor', in: 'query', schema: { type: 'string' } }
+                    ],
+                    responses: { '200': { description: 'Successful response' } }
+                }
+            },
             '/api/schedule': {
                 get: {
                     summary: 'Get weekly schedule',
@@ -252,6 +384,16 @@ app.get('/api/openapi.json', (c) => {
                     responses: { '200': { description: 'Successful response' } }
                 }
             },
+            '/api/health/canary': {
+                get: {
+                    summary: 'Check that each parser still extracts its reference content',
+                    parameters: [{ name: 'parsers', in: 'query', required: false, schema: { type: 'string' } }],
+                    responses: {
+                        '200': { description: 'All parsers passed' },
+                        '503': { description: 'At least one parser failed' }
+                    }
+                }
+            },
             '/embed/{id}': {
                 get: {
                     summary: 'Get optimized player embed',
@@ -267,23 +409,44 @@ app.get('/api/openapi.json', (c) => {
 app.notFound((c) => {
     return c.json({
         success: false,
-        error: 'Endpoint not found'
+        error: 'Endpoint not found',
+        code: 'NOT_FOUND'
     }, 404);
 });
 
 // Error handler
 app.onError((err, c) => {
+    // Errors raised by middleware (e.g. admin authentication) carry their own response
+    if (err instanceof HTTPException) {
+        return err.getResponse();
+    }
+
+    // Typed errors (invalid input, not found, upstream blocked/rate limited/
+    // timed out/unavailable, parse failures) carry their own status and code
+    if (err instanceof ApiError) {
+        console.error(`${c.req.method} ${c.req.path} failed (${err.code}):`, err.message);
+        if (err.retryAfter) {
+            c.header('Retry-After', String(err.retryAfter));
+        }
+        return c.json({
+            success: false,
+            error: err.message,
+            code: err.code
+        }, err.status);
+    }
+
     console.error('Server error:', err);
     return c.json({
         success: false,
-        error: err.message || 'Internal server error'
+        error: err.message || 'Internal server error',
+        code: 'INTERNAL_ERROR'
     }, 500);
 });
 
 // Start server
 console.log(`🚀 ToonStream API starting on port ${config.port}...`);
 console.log(`📚 Documentation available at http://localhost:${config.port}/docs`);
-console.log(`🌐 Base URL: ${config.baseUrl}`);
+console.log(`🌐 Upstream: ${config.upstream.mirrors.join(', ')}`);
 
 export default app;
 
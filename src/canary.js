@@ -0,0 +1,168 @@
+import config from '../config.js';
+import { runWithContext, getContext } from './utils/context.js';
+import { scrapeHome } from './scrapers/home.js';
+import { scrapeSearch } from './scrapers/search.js';
+import { scrapeCategory } from './scrapers/categories.js';
+import { scrapeAnimeDetails } from './scrapers/anime.js';
+import { scrapeEpisodeStreaming } from './scrapers/streaming.js';
+
+// Layout-drift canary
+// When the site changes its markup the scrapers keep answering with
+// success: true but empty lists. Each check scrapes a reference page
+// (bypassing the cache) and verifies that required fields are filled and
+// counts reach their minimums. Run with TRANSPORT_MODE=replay to check the
+// parsers against recorded fixtures instead of the live site.
+
+const CARD_FIELDS = ['id', 'title', 'url', 'poster'];
+
+/**
+ * Check that a list has at least `minimum` items
+ * @returns {string[]} Failure messages
+ */
+const expectCount = (label, count, minimum) => {
+    return count >= minimum ? [] : [`${label}: expected at least ${minimum}, got ${count}`];
+};
+
+/**
+ * Check that an item exists and the given fields are not empty
+ * @returns {string[]} Failure messages
+ */
+const expectFields = (label, item, fields) => {
+    if (!item) return [`${label}: missing`];
+    return fields
+        .filter(field => item[field] === null || item[field] === undefined || item[field] === '')
+        .map(field => `${label}.${field}: empty`);
+};
+
+/**
+ * Build the canary checks, one per parser
+ * Each check scrapes its reference and returns counts plus failure messages.
+ * @returns {object[]} Checks
+ */
+const buildChecks = () => {
+    const { references, minimums } = config.canary;
+
+    return [
+        {
+            parser: 'home',
+            reference: '/home/',
+            run: () => scrapeHome(),
+            verify: (data) => ({
+                counts: { latestSeries: data.latestSeries.length, latestMovies: data.latestMovies.length },
+                failures: [
+                    ...expectCount('latestSeries + latestMovies', data.latestSeries.length + data.latestMovies.length, minimums.home),
+                    ...expectFields('latestSeries[0]', data.latestSeries[0], CARD_FIELDS)
+                ]
+            })
+        },
+        {
+            parser: 'search',
+            reference: references.search,
+            run: () => scrapeSearch(references.search, 1),
+            verify: (data) => ({
+                counts: { results: data.results.length },
+                failures: [
+                    ...expectCount('results', data.results.length, minimums.search),
+                    ...expectFields('results[0]', data.results[0], CARD_FIELDS)
+                ]
+            })
+        },
+        {
+            parser: 'category',
+            reference: references.category,
+            run: () => scrapeCategory(references.category, 1),
+            verify: (data) => ({
+                counts: { results: data.results.length, totalPages: data.pagination.totalPages },
+                failures: [
+                    ...expectCount('results', data.results.length, minimums.category),
+                    ...expectFields('results[0]', data.results[0], CARD_FIELDS),
+                    ...expectCount('pagination.totalPages', data.pagination.totalPages, minimums.categoryPages)
+                ]
+            })
+        },
+        {
+            parser: 'detail',
+            reference: references.series,
+            run: () => scrapeAnimeDetails(references.series, 'series'),
+            verify: (data) => ({
+                counts: { genres: data.genres.length, episodes: data.totalEpisodes },
+                failures: [
+                    ...expectFields('content', data, ['title', 'poster', 'description']),
+                    ...expectCount('genres', data.genres.length, minimums.genres),
+                    ...expectCount('episodes', data.totalEpisodes, minimums.episodes)
+                ]
+            })
+        },
+        {
+            parser: 'episode',
+            reference: references.episode,
+            run: () => scrapeEpisodeStreaming(references.episode),
+            verify: (data) => ({
+                counts: { sources: data.sources.length },
+                failures: [
+                    ...expectFields('episode', data, ['title']),
+                    ...expectCount('sources', data.sources.length, minimums.sources)
+                ]
+            })
+        }
+    ];
+};
+
+/**
+ * Get the names of all canary parsers
+ * @returns {string[]} Parser names
+ */
+export const getCanaryParsers = () => buildChecks().map(check => check.parser);
+
+/**
+ * Run the canary checks one after another (to stay polite to the upstream site)
+ * @param {string[]} parsers - Parsers to check (all if empty)
+ * @returns {Promise<object>} Per-parser pass/fail report
+ */
+export const runCanary = async (parsers = []) => {
+    const startedAt = Date.now();
+    const checks = buildChecks().filter(check => parsers.length === 0 || parsers.includes(check.parser));
+    const results = [];
+
+    for (const check of checks) {
+        const checkStart = Date.now();
+        try {
+            const data = await runWithContext({ ...getContext(), bypassCache: true }, check.run);
+            const { counts, failures } = check.verify(data);
+            results.push({
+                parser: check.parser,
+                reference: check.reference,
+                passed: failures.length === 0,
+                duration: Date.now() - checkStart,
+                counts,
+                failures
+            });
+        } catch (error) {
+            results.push({
+                parser: check.parser,
+                reference: check.reference,
+                passed: false,
+                duration: Date.now() - checkStart,
+                failures: [`scraper error: ${error.message}`],
+                code: error.code || 'INTERNAL_ERROR'
+            });
+        }
+    }
+
+    const failed = results.filter(r => !r.passed).length;
+    if (failed > 0) {
+        const names = results.filter(r => !r.passed).map(r => r.parser).join(', ');
+        console.warn(`[Canary] ${failed}/${results.length} parsers failing: ${names}`);
+    }
+
+    return {
+        success: failed === 0,
+        checkedAt: new Date(startedAt).toISOString(),
+        duration: Date.now() - startedAt,
+        passed: results.length - failed,
+        failed,
+        results
+    };
+};
+
+export default { runCanary, getCanaryParsers };
@@ -0,0 +1,153 @@
+import { Hono } from 'hono';
+import { bearerAuth } from 'hono/bearer-auth';
+import config from '../../config.js';
+import {
+    getCacheStats,
+    listCacheKeys,
+    inspectCache,
+    purgeCache,
+    clearCache
+} from '../utils/cache.js';
+import { getLimiterStats } from '../utils/limiter.js';
+import { getCircuitStats } from '../utils/circuitBreaker.js';
+import { refreshResource } from '../scrapers/registry.js';
+import { runWarmup } from '../scheduled.js';
+import { InvalidInputError, NotFoundError } from '../utils/errors.js';
+
+const admin = new Hono();
+
+/**
+ * Protect every admin route with a bearer token.
+ * The token comes from the ADMIN_TOKEN binding (wrangler secret) or config;
+ * without one the admin API is disabled.
+ */
+admin.use('*', bearerAuth({
+    verifyToken: async (token, c) => {
+        const expected = c.env?.ADMIN_TOKEN || config.admin.token;
+        return Boolean(expected) && token === expected;
+    },
+    noAuthenticationHeaderMessage: { success: false, error: 'Admin token is required' },
+    invalidAuthenticationHeaderMessage: { success: false, error: 'Invalid Authorization header' },
+    invalidTokenMessage: { success: false, error: 'Invalid admin token' }
+}));
+
+/**
+ * GET /api/admin/cache/stats
+ * Get cache hit/miss counters per key prefix and memory usage
+ */
+admin.get('/cache/stats', (c) => {
+    return c.json({
+        success: true,
+        stats: getCacheStats()
+    });
+});
+
+/**
+ * GET /api/admin/upstream/stats
+ * Get per-host request limiter metrics (in-flight, queue depth, waits)
+ * and circuit breaker states
+ */
+admin.get('/upstream/stats', (c) => {
+    return c.json({
+        success: true,
+        hosts: getLimiterStats(),
+        circuits: getCircuitStats()
+    });
+});
+
+/**
+ * GET /api/admin/cache/keys?prefix={prefix}&limit={limit}
+ * List cache keys by prefix
+ */
+admin.get('/cache/keys', async (c) => {
+    const prefix = c.req.query('prefix') || '';
+    const limit = Math.min(parseInt(c.req.query('limit')) || 100, 1000);
+
+    const keys = await listCacheKeys(prefix, limit);
+    return c.json({
+        success: true,
+        prefix,
+        count: keys.length,
+        keys
+    });
+});
+
+/**
+ * GET /api/admin/cache/entry?key={key}
+ * Inspect a cache entry's age and TTL
+ */
+admin.get('/cache/entry', async (c) => {
+    const key = c.req.query('key');
+
+    if (!key) {
+        throw new InvalidInputError('Key parameter is required');
+    }
+
+    const entry = await inspectCache(key);
+    if (!entry.exists) {
+        throw new NotFoundError(`Cache entry not found: ${key}`);
+    }
+
+    return c.json({
+        success: true,
+        entry
+    });
+});
+
+/**
+ * DELETE /api/admin/cache?prefix={prefix}
+ * Purge all cache entries with a prefix (use prefix=* to clear everything)
+ */
+admin.delete('/cache', async (c) => {
+    const prefix = c.req.query('prefix');
+
+    if (!prefix) {
+        throw new InvalidInputError('Prefix parameter is required (use * to clear everything)');
+    }
+
+    if (prefix === '*') {
+        await clearCache();
+        return c.json({
+            success: true,
+            prefix,
+            deleted: null
+        });
+    }
+
+    const deleted = await purgeCache(prefix);
+    return c.json({
+        success: true,
+        prefix,
+        deleted
+    });
+});
+
+/**
+ * POST /api/admin/cache/refresh?key={key}
+ * Force-refresh a single cached resource
+ */
+admin.post('/cache/refresh', async (c) => {
+    const key = c.req.query('key');
+
+    if (!key) {
+        throw new InvalidInputError('Key parameter is required');
+    }
+
+    const result = await refreshResource(key);
+    return c.json({
+        success: true,
+        ...result
+    });
+});
+
+/**
+ * POST /api/admin/warmup?jobs={home,schedule,latest,categories}
+ * Run the scheduled cache warm-up now and return the per-job report
+ */
+admin.post('/warmup', async (c) => {
+    const jobs = (c.req.query('jobs') || '').split(',').map(j => j.trim()).filter(Boolean);
+    const report = await runWarmup(jobs);
+    return c.json(report);
+});
+
+export default admin;
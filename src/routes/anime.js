@@ -1,5 +1,8 @@
 import { Hono } from 'hono';
-import { scrapeAnimeDetails, checkBatchAvailability } from '../scrapers/anime.js';
+import config from '../../config.js';
+import { httpCache } from '../utils/httpCache.js';
+import { InvalidInputError } from '../utils/errors.js';
+import { scrapeAnimeDetails, scrapeSeasons, scrapeSeason, checkBatchAvailability } from '../scrapers/anime.js';
 
 const anime = new Hono();
 
@@ -7,26 +10,58 @@ const anime = new Hono();
  * GET /api/anime/:id
  * Get detailed anime/series information
  */
-anime.get('/:id', async (c) => {
-    try {
-        const id = c.req.param('id');
-
-        if (!id) {
-            return c.json({
-                success: false,
-                error: 'Anime ID is required'
-            }, 400);
-        }
-
-        const data = await scrapeAnimeDetails(id);
-        return c.json(data);
-    } catch (error) {
-        console.error('Anime route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
+anime.get('/:id', httpCache(config.cacheProfiles.content), async (c) => {
+    const id = c.req.param('id');
+
+    if (!id) {
+        throw new InvalidInputError('Anime ID is required');
+    }
+
+    const data = await scrapeAnimeDetails(id);
+    return c.json(data);
+});
+
+/**
+ * GET /api/anime/:id/seasons
+ * List season summaries (number, title, episode count)
+ */
+anime.get('/:id/seasons', httpCache(config.cacheProfiles.content), async (c) => {
+    const id = c.req.param('id');
+
+    const data = await scrapeSeasons(id);
+    return c.json(data);
+});
+
+/**
+ * GET /api/anime/:id/seasons/:n?page={page}&limit={limit}&order={asc|desc}&language={language}
+ * Get one season's episodes, paginated
+ */
+anime.get('/:id/seasons/:n', httpCache(config.cacheProfiles.content), async (c) => {
+    const id = c.req.param('id');
+    const number = parseInt(c.req.param('n'));
+    const page = parseInt(c.req.query('page')) || 1;
+    const limit = parseInt(c.req.query('limit')) || 50;
+    const order = (c.req.query('order') || 'asc').toLowerCase();
+    const language = c.req.query('language') || null;
+
+    if (!number || number < 1) {
+        throw new InvalidInputError('Season number must be a positive integer');
+    }
+
+    if (page < 1) {
+        throw new InvalidInputError('Page must be a positive integer');
+    }
+
+    if (limit < 1 || limit > 100) {
+        throw new InvalidInputError('Limit must be between 1 and 100');
+    }
+
+    if (!['asc', 'desc'].includes(order)) {
+        throw new InvalidInputError('Order must be one of: asc, desc');
     }
+
+    const data = await scrapeSeason(id, number, { page, limit, order, language });
+    return c.json(data);
 });
 
 /**
@@ -34,32 +69,20 @@ anime.get('/:id', async (c) => {
  * Check availability for multiple anime
  */
 anime.post('/batch-availability', async (c) => {
-    try {
-        const { ids } = await c.req.json();
-
-        if (!ids || !Array.isArray(ids)) {
-            return c.json({
-                success: false,
-                error: 'IDs array is required'
-            }, 400);
-        }
-
-        if (ids.length > 50) {
-            return c.json({
-                success: false,
-                error: 'Too many IDs. Maximum is 50.'
-            }, 400);
-        }
-
-        const data = await checkBatchAvailability(ids);
-        return c.json(data);
-    } catch (error) {
-        console.error('Batch availability route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
+    const { ids } = await c.req.json().catch(() => {
+        throw new InvalidInputError('Request body must be valid JSON');
+    });
+
+    if (!ids || !Array.isArray(ids)) {
+        throw new InvalidInputError('IDs array is required');
     }
+
+    if (ids.length > 50) {
+        throw new InvalidInputError('Too many IDs. Maximum is 50.');
+    }
+
+    const data = await checkBatchAvailability(ids);
+    return c.json(data);
 });
 
 export default anime;
@@ -0,0 +1,76 @@
+import { Hono } from 'hono';
+import config from '../../config.js';
+import { httpCache } from '../utils/httpCache.js';
+import { InvalidInputError } from '../utils/errors.js';
+import { scrapeTag, scrapeYear, scrapeNetwork, scrapeArchiveIndex } from '../scrapers/archives.js';
+
+const archives = new Hono();
+
+/**
+ * Read and validate the page query parameter
+ */
+const getPage = (c) => {
+    const page = parseInt(c.req.query('page')) || 1;
+
+    if (page < 1) {
+        throw new InvalidInputError('Page must be a positive integer');
+    }
+
+    return page;
+};
+
+/**
+ * GET /api/archives
+ * List the available tags, release years and networks
+ */
+archives.get('/archives', httpCache(config.cacheProfiles.archives), async (c) => {
+    const data = await scrapeArchiveIndex();
+    return c.json(data);
+});
+
+/**
+ * GET /api/tag/:slug?page={page}
+ * Get the titles with a tag
+ */
+archives.get('/tag/:slug', httpCache(config.cacheProfiles.archive), async (c) => {
+    const slug = c.req.param('slug');
+
+    if (!/^[\w%-]+$/.test(slug)) {
+        throw new InvalidInputError('Tag slug may only contain letters, digits and dashes');
+    }
+
+    const data = await scrapeTag(slug, getPage(c));
+    return c.json(data);
+});
+
+/**
+ * GET /api/year/:year?page={page}
+ * Get the titles released in a year
+ */
+archives.get('/year/:year', httpCache(config.cacheProfiles.archive), async (c) => {
+    const year = c.req.param('year');
+
+    if (!/^\d{4}$/.test(year)) {
+        throw new InvalidInputError('Year must be a four-digit year');
+    }
+
+    const data = await scrapeYear(year, getPage(c));
+    return c.json(data);
+});
+
+/**
+ * GET /api/network/:slug?page={page}
+ * Get the titles of a network/studio
+ */
+archives.get('/network/:slug', httpCache(config.cacheProfiles.archive), async (c) => {
+    const slug = c.req.param('slug');
+
+    if (!/^[\w%-]+$/.test(slug)) {
+        throw new InvalidInputError('Network slug may only contain letters, digits and dashes');
+    }
+
+    const data = await scrapeNetwork(slug, getPage(c));
+    return c.json(data);
+});
+
+export default archives;
@@ -0,0 +1,54 @@
+import { Hono } from 'hono';
+import config from '../../config.js';
+import { httpCache } from '../utils/httpCache.js';
+import { InvalidInputError } from '../utils/errors.js';
+import { browseContent, BROWSE_TYPES, BROWSE_SORTS } from '../scrapers/browse.js';
+
+const browse = new Hono();
+
+/**
+ * GET /api/browse?type={type}&genre={genre}&language={language}&year={year}&sort={sort}&limit={limit}&cursor={cursor}
+ * Browse titles matching all given filters, with cursor pagination
+ */
+browse.get('/', httpCache(config.cacheProfiles.browse), async (c) => {
+    const type = c.req.query('type')?.toLowerCase() || null;
+    const genre = c.req.query('genre')?.toLowerCase() || null;
+    const language = c.req.query('language')?.toLowerCase() || null;
+    const year = c.req.query('year') || null;
+    const sort = (c.req.query('sort') || 'latest').toLowerCase();
+    const limit = parseInt(c.req.query('limit')) || 20;
+    const cursor = c.req.query('cursor') || null;
+
+    if (!type && !genre && !language && !year) {
+        throw new InvalidInputError('At least one filter is required: type, genre, language or year');
+    }
+
+    if (type && !BROWSE_TYPES.includes(type)) {
+        throw new InvalidInputError(`Type must be one of: ${BROWSE_TYPES.join(', ')}`);
+    }
+
+    if (genre && !/^[\w-]+$/.test(genre)) {
+        throw new InvalidInputError('Genre may only contain letters, digits and dashes');
+    }
+
+    if (language && !/^[\w-]+$/.test(language)) {
+        throw new InvalidInputError('Language may only contain letters, digits and dashes');
+    }
+
+    if (year && !/^\d{4}$/.test(year)) {
+        throw new InvalidInputError('Year must be a four-digit year');
+    }
+
+    if (!BROWSE_SORTS.includes(sort)) {
+        throw new InvalidInputError(`Sort must be one of: ${BROWSE_SORTS.join(', ')}`);
+    }
+
+    if (limit < 1 || limit > 100) {
+        throw new InvalidInputError('Limit must be between 1 and 100');
+    }
+
+    const data = await browseContent({ type, genre, language, year }, { sort, limit, cursor });
+    return c.json(data);
+});
+
+export default browse;
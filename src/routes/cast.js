@@ -0,0 +1,29 @@
+import { Hono } from 'hono';
+import config from '../../config.js';
+import { httpCache } from '../utils/httpCache.js';
+import { InvalidInputError } from '../utils/errors.js';
+import { scrapeCast } from '../scrapers/archives.js';
+
+const cast = new Hono();
+
+/**
+ * GET /api/cast/:slug?page={page}
+ * Get every series, movie and cartoon of a cast member
+ */
+cast.get('/:slug', httpCache(config.cacheProfiles.archive), async (c) => {
+    const slug = c.req.param('slug');
+    const page = parseInt(c.req.query('page')) || 1;
+
+    if (!/^[\w%-]+$/.test(slug)) {
+        throw new InvalidInputError('Cast slug may only contain letters, digits and dashes');
+    }
+
+    if (page < 1) {
+        throw new InvalidInputError('Page must be a positive integer');
+    }
+
+    const data = await scrapeCast(slug, page);
+    return c.json(data);
+});
+
+export default cast;
@@ -1,4 +1,7 @@
 import { Hono } from 'hono';
+import config from '../../config.js';
+import { httpCache, noStore } from '../utils/httpCache.js';
+import { InvalidInputError } from '../utils/errors.js';
 import {
     scrapeCategory,
     scrapeCategories,
@@ -17,107 +20,61 @@ const categories = new Hono();
  * GET /api/categories
  * Get all available categories
  */
-categories.get('/', async (c) => {
-    try {
-        const data = await scrapeCategories();
-        return c.json(data);
-    } catch (error) {
-        console.error('Categories list route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+categories.get('/', httpCache(config.cacheProfiles.categories), async (c) => {
+    const data = await scrapeCategories();
+    return c.json(data);
 });
 
 /**
  * GET /api/category/:name?page={page}
  * Get anime by category
  */
-categories.get('/:name', async (c) => {
-    try {
-        const name = c.req.param('name');
-        const page = parseInt(c.req.query('page')) || 1;
-
-        if (!name) {
-            return c.json({
-                success: false,
-                error: 'Category name is required'
-            }, 400);
-        }
+categories.get('/:name', httpCache(config.cacheProfiles.category), async (c) => {
+    const name = c.req.param('name');
+    const page = parseInt(c.req.query('page')) || 1;
 
-        const data = await scrapeCategory(name, page);
-        return c.json(data);
-    } catch (error) {
-        console.error('Category route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
+    if (!name) {
+        throw new InvalidInputError('Category name is required');
     }
+
+    const data = await scrapeCategory(name, page);
+    return c.json(data);
 });
 
 /**
  * GET /api/category/language/:lang?page={page}
  * Get anime by language
  */
-categories.get('/language/:lang', async (c) => {
-    try {
-        const lang = c.req.param('lang');
-        const page = parseInt(c.req.query('page')) || 1;
+categories.get('/language/:lang', httpCache(config.cacheProfiles.category), async (c) => {
+    const lang = c.req.param('lang');
+    const page = parseInt(c.req.query('page')) || 1;
 
-        if (!lang) {
-            return c.json({
-                success: false,
-                error: 'Language is required'
-            }, 400);
-        }
-
-        const data = await scrapeByLanguage(lang, page);
-        return c.json(data);
-    } catch (error) {
-        console.error('Language route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
+    if (!lang) {
+        throw new InvalidInputError('Language is required');
     }
+
+    const data = await scrapeByLanguage(lang, page);
+    return c.json(data);
 });
 
 /**
  * GET /api/category/type/movies?page={page}
  * Get anime movies
  */
-categories.get('/type/movies', async (c) => {
-    try {
-        const page = parseInt(c.req.query('page')) || 1;
-        const data = await scrapeMovies(page);
-        return c.json(data);
-    } catch (error) {
-        console.error('Movies route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+categories.get('/type/movies', httpCache(config.cacheProfiles.category), async (c) => {
+    const page = parseInt(c.req.query('page')) || 1;
+    const data = await scrapeMovies(page);
+    return c.json(data);
 });
 
 /**
  * GET /api/category/type/series?page={page}
  * Get anime series
  */
-categories.get('/type/series', async (c) => {
-    try {
-        const page = parseInt(c.req.query('page')) || 1;
-        const data = await scrapeSeries(page);
-        return c.json(data);
-    } catch (error) {
-        console.error('Series route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+categories.get('/type/series', httpCache(config.cacheProfiles.category), async (c) => {
+    const page = parseInt(c.req.query('page')) || 1;
+    const data = await scrapeSeries(page);
+    return c.json(data);
 });
 
 export default categories;
@@ -126,68 +83,36 @@ export default categories;
  * GET /api/category/latest/movies?page={page}
  * Get latest anime movies
  */
-categories.get('/latest/movies', async (c) => {
-    try {
-        const page = parseInt(c.req.query('page')) || 1;
-        const data = await scrapeLatestMovies(page);
-        return c.json(data);
-    } catch (error) {
-        console.error('Latest movies route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+categories.get('/latest/movies', httpCache(config.cacheProfiles.category), async (c) => {
+    const page = parseInt(c.req.query('page')) || 1;
+    const data = await scrapeLatestMovies(page);
+    return c.json(data);
 });
 
 /**
  * GET /api/category/latest/series?page={page}
  * Get latest anime series
  */
-categories.get('/latest/series', async (c) => {
-    try {
-        const page = parseInt(c.req.query('page')) || 1;
-        const data = await scrapeLatestSeries(page);
-        return c.json(data);
-    } catch (error) {
-        console.error('Latest series route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+categories.get('/latest/series', httpCache(config.cacheProfiles.category), async (c) => {
+    const page = parseInt(c.req.query('page')) || 1;
+    const data = await scrapeLatestSeries(page);
+    return c.json(data);
 });
 
 /**
  * GET /api/category/random/movie
  * Get random anime movie
  */
-categories.get('/random/movie', async (c) => {
-    try {
-        const data = await scrapeRandomMovie();
-        return c.json(data);
-    } catch (error) {
-        console.error('Random movie route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+categories.get('/random/movie', noStore, async (c) => {
+    const data = await scrapeRandomMovie();
+    return c.json(data);
 });
 
 /**
  * GET /api/category/random/series
  * Get random anime series
  */
-categories.get('/random/series', async (c) => {
-    try {
-        const data = await scrapeRandomSeries();
-        return c.json(data);
-    } catch (error) {
-        console.error('Random series route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+categories.get('/random/series', noStore, async (c) => {
+    const data = await scrapeRandomSeries();
+    return c.json(data);
 });
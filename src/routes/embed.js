@@ -1,52 +1,65 @@
 import { Hono } from 'hono';
-import axios from 'axios';
 import { load } from 'cheerio';
-import { getCache, setCache } from '../utils/cache.js';
-import { extractPlayerUrl, decodeHTMLEntities } from '../utils/scraper.js';
+import config from '../../config.js';
+import { getCache, setCache, rememberNotFound, getKnownNotFound } from '../utils/cache.js';
+import {
+    ApiError,
+    NotFoundError,
+    BlockedError,
+    RateLimitedError,
+    UpstreamError,
+    UpstreamUnavailableError,
+    UpstreamTimeoutError
+} from '../utils/errors.js';
+import { httpCache } from '../utils/httpCache.js';
+import { request } from '../utils/http.js';
+import { buildUrl, resolveUrl, isUpstreamUrl } from '../utils/upstream.js';
+import { extractPlayerUrl, decodeHTMLEntities, toApiError } from '../utils/scraper.js';
 import { scrapeEpisodeStreaming } from '../scrapers/streaming.js';
 import { scrapeAnimeDetails } from '../scrapers/anime.js';
 
 const embed = new Hono();
 
+const NOT_FOUND_MESSAGE = 'The requested video could not be found on RyanCloud servers.';
+
 /**
  * GET /api/source/:id
  * Get sources by scraping (kept for compatibility)
  */
 embed.get('/api/source/:id', async (c) => {
-    try {
-        const id = c.req.param('id');
+    const id = c.req.param('id');
 
-        // Return a simple response pointing to embed
-        return c.json({
-            success: true,
-            message: 'Use /embed/:id for video playback',
-            embedUrl: `/embed/${id}`
-        });
-    } catch (error) {
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+    // Return a simple response pointing to embed
+    return c.json({
+        success: true,
+        message: 'Use /embed/:id for video playback',
+        embedUrl: `/embed/${id}`
+    });
 });
 
 /**
  * GET /embed/:id
  * Fetch ToonStream page and show only the player with ad-blocking
  */
-embed.get('/embed/:id', async (c) => {
-    try {
-        const id = c.req.param('id');
-        const type = c.req.query('type') || 'auto'; // Optional type parameter
-        const cacheKey = `embed:${id}:${type}`;
+embed.get('/embed/:id', httpCache(config.cacheProfiles.embed), async (c) => {
+    const id = c.req.param('id');
+    const type = c.req.query('type') || 'auto'; // Optional type parameter
+    const cacheKey = `embed:${id}:${type}`;
 
+    try {
         // 1. Try to get from cache first
-        const cachedSrc = getCache(cacheKey);
+        const cachedSrc = await getCache(cacheKey);
         if (cachedSrc) {
             console.log(`[Embed] Serving cached player for ${id} (type: ${type})`);
             return c.html(generateCleanPlayer(cachedSrc));
         }
 
+        // Content recently confirmed missing: skip the upstream probes
+        if (await getKnownNotFound(cacheKey)) {
+            c.header('Cache-Control', 'no-store');
+            return c.html(generateErrorPage('Video Not Found', NOT_FOUND_MESSAGE), 404);
+        }
+
         console.log(`[Embed] Fetching ToonStream data for ${id} (type: ${type})`);
 
         let iframeSrc;
@@ -68,14 +81,8 @@ embed.get('/embed/:id', async (c) => {
         if (contentType === 'movie' || contentType === 'movies') {
             // For movies, fetch the movie page directly
             try {
-                const movieUrl = `https://toonstream.one/movies/${id}/`;
-                const response = await axios.get(movieUrl, {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                        'Referer': 'https://toonstream.one/',
-                    },
-                    timeout: 5000
-                });
+                const movieUrl = buildUrl(`/movies/${id}/`);
+                const response = await fetchEmbedPage(movieUrl, buildUrl('/'), 5000);
 
                 const $ = load(response.data);
                 
@@ -85,9 +92,8 @@ embed.get('/embed/:id', async (c) => {
                 
                 if (src) {
                     src = decodeHTMLEntities(src);
-                    if (src.startsWith('//')) src = `https:${src}`;
-                    else if (src.startsWith('/')) src = `https://toonstream.one${src}`;
-                    else if (src.startsWith('http://')) src = src.replace('http://', 'https://');
+                    if (src.startsWith('http://')) src = src.replace('http://', 'https://');
+                    src = resolveUrl(src);
                     
                     iframeSrc = src;
                 } else {
@@ -95,9 +101,7 @@ embed.get('/embed/:id', async (c) => {
                     const scriptContent = $('script').text();
                     const srcMatch = scriptContent.match(/src=["']([^"']*player[^"']*)["']/i);
                     if (srcMatch) {
-                        iframeSrc = srcMatch[1];
-                        if (iframeSrc.startsWith('//')) iframeSrc = `https:${iframeSrc}`;
-                        else if (iframeSrc.startsWith('/')) iframeSrc = `https://toonstream.one${iframeSrc}`;
+                        iframeSrc = resolveUrl(srcMatch[1]);
                     }
                 }
                 
@@ -128,20 +132,14 @@ embed.get('/embed/:id', async (c) => {
                     const fetchSource = async (source) => {
                         const sourceUrl = source.url;
                         // Direct iframe - resolve immediately
-                        if (!sourceUrl.includes('trembed') && !sourceUrl.includes('toonstream.one/home')) {
+                        if (!sourceUrl.includes('trembed') && !isUpstreamUrl(sourceUrl)) {
                             return sourceUrl;
                         }
 
                         // Trembed URL - fetch and extract
                         try {
                             console.log(`[Embed] Fetching source: ${sourceUrl}`);
-                            const playerResponse = await axios.get(sourceUrl, {
-                                headers: {
-                                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                                    'Referer': `https://toonstream.one/episode/${id}/`,
-                                },
-                                timeout: 4000
-                            });
+                            const playerResponse = await fetchEmbedPage(sourceUrl, buildUrl(`/episode/${id}/`), 4000);
 
                             // Regex extraction
                             let realIframeSrc = null;
@@ -153,9 +151,8 @@ embed.get('/embed/:id', async (c) => {
 
                             if (realIframeSrc) {
                                 realIframeSrc = decodeHTMLEntities(realIframeSrc);
-                                if (realIframeSrc.startsWith('//')) realIframeSrc = `https:${realIframeSrc}`;
-                                else if (realIframeSrc.startsWith('/')) realIframeSrc = `https://toonstream.one${realIframeSrc}`;
-                                else if (realIframeSrc.startsWith('http://')) realIframeSrc = realIframeSrc.replace('http://', 'https://');
+                                if (realIframeSrc.startsWith('http://')) realIframeSrc = realIframeSrc.replace('http://', 'https://');
+                                realIframeSrc = resolveUrl(realIframeSrc);
 
                                 // Skip vidstreaming.xyz
                                 if (realIframeSrc.includes('vidstreaming.xyz')) {
@@ -178,7 +175,7 @@ embed.get('/embed/:id', async (c) => {
                         iframeSrc = await Promise.any(activeSources.map(s => fetchSource(s)));
                     } catch (aggregateError) {
                         console.error('[Embed] All sources failed:', aggregateError.errors);
-                        throw new Error('No working video source found (all attempts failed)');
+                        throw new UpstreamError('No working video source found (all attempts failed)');
                     }
                 }
             } catch (error) {
@@ -190,7 +187,7 @@ embed.get('/embed/:id', async (c) => {
         if (iframeSrc) {
             // Cache the result
             if (!cachedSrc) {
-                setCache(cacheKey, iframeSrc, 1800); // 30 minutes
+                await setCache(cacheKey, iframeSrc, config.cacheProfiles.embed.ttl);
             }
 
             // Serve the clean player with the extracted iframe
@@ -198,31 +195,103 @@ embed.get('/embed/:id', async (c) => {
         }
 
         // No working source found
-        throw new Error('No working video source found for this content');
+        throw new UpstreamError('No working video source found for this content');
 
     } catch (error) {
         console.error('Embed error:', error.message);
 
-        // Check if it's a 404 or connection error
-        const is404 = error.response?.status === 404 || error.message.includes('404');
-        const isTimeout = error.message.includes('timeout') || error.code === 'ECONNABORTED';
-
-        // User-friendly error messages
+        // User-friendly error messages per error type
         let errorTitle = 'Video Not Available';
         let errorMessage = 'This video is currently not available for streaming.';
 
-        if (is404) {
+        if (error instanceof NotFoundError) {
             errorTitle = 'Video Not Found';
-            errorMessage = 'The requested video could not be found on RyanCloud servers.';
-        } else if (isTimeout) {
+            errorMessage = NOT_FOUND_MESSAGE;
+            await rememberNotFound(cacheKey);
+        } else if (error instanceof UpstreamTimeoutError) {
             errorTitle = 'RyanCloud Under Maintenance';
             errorMessage = 'RyanCloud is currently under maintenance. Please try again later.';
-        } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+        } else if (error instanceof UpstreamUnavailableError || error instanceof UpstreamError) {
             errorTitle = 'RyanCloud Under Maintenance';
             errorMessage = 'RyanCloud servers are currently under maintenance. Please try again in a few minutes.';
+        } else if (error instanceof BlockedError || error instanceof RateLimitedError) {
+            errorTitle = 'Too Many Requests';
+            errorMessage = 'RyanCloud is receiving too many requests right now. Please try again in a few minutes.';
+        }
+
+        // Error pages must not be cached, and carry the typed error's status
+        // (404, 429, 502, 503, 504) so clients and caches see the failure
+        c.header('Cache-Control', 'no-store');
+        if (error.retryAfter) {
+            c.header('Retry-After', String(error.retryAfter));
         }
+        return c.html(generateErrorPage(errorTitle, errorMessage), error instanceof ApiError ? error.status : 502);
+    }
+});
+
+/**
+ * GET /embed/movies/:id
+ * Special endpoint for movie embeds
+ */
+embed.get('/movies/:id', async (c) => {
+    const id = c.req.param('id');
+    // Redirect to main embed endpoint with type parameter
+    return c.redirect(`/embed/${id}?type=movie`);
+});
+
+/**
+ * GET /embed/series/:id
+ * Special endpoint for series embeds
+ */
+embed.get('/series/:id', async (c) => {
+    const id = c.req.param('id');
+    return c.redirect(`/embed/${id}?type=series`);
+});
+
+/**
+ * GET /embed/cartoons/:id
+ * Special endpoint for cartoon embeds
+ */
+embed.get('/cartoons/:id', async (c) => {
+    const id = c.req.param('id');
+    return c.redirect(`/embed/${id}?type=cartoon`);
+});
 
-        return c.html(`
+/**
+ * Fetch a player/trembed page through the shared transport
+ * @param {string} url - Page URL
+ * @param {string} referer - Referer header
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<object>} Transport response
+ * @throws {ApiError} Typed error for failed requests and 4xx/5xx responses
+ */
+async function fetchEmbedPage(url, referer, timeout) {
+    let response;
+    try {
+        response = await request(url, {
+            profile: 'embed',
+            headers: { 'Referer': referer },
+            timeout
+        });
+    } catch (error) {
+        throw toApiError(error);
+    }
+
+    if (response.status >= 400) {
+        const error = new Error(`Request failed with status code ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = response.headers.get('retry-after');
+        throw toApiError(error);
+    }
+
+    return response;
+}
+
+/**
+ * Generate error page HTML
+ */
+function generateErrorPage(errorTitle, errorMessage) {
+    return `
             <!DOCTYPE html>
             <html>
                 <head>
@@ -274,37 +343,8 @@ embed.get('/embed/:id', async (c) => {
                     </div>
                 </body>
             </html>
-        `);
-    }
-});
-
-/**
- * GET /embed/movies/:id
- * Special endpoint for movie embeds
- */
-embed.get('/movies/:id', async (c) => {
-    const id = c.req.param('id');
-    // Redirect to main embed endpoint with type parameter
-    return c.redirect(`/embed/${id}?type=movie`);
-});
-
-/**
- * GET /embed/series/:id
- * Special endpoint for series embeds
- */
-embed.get('/series/:id', async (c) => {
-    const id = c.req.param('id');
-    return c.redirect(`/embed/${id}?type=series`);
-});
-
-/**
- * GET /embed/cartoons/:id
- * Special endpoint for cartoon embeds
- */
-embed.get('/cartoons/:id', async (c) => {
-    const id = c.req.param('id');
-    return c.redirect(`/embed/${id}?type=cartoon`);
-});
+        `;
+}
 
 /**
  * Generate clean player HTML
@@ -0,0 +1,32 @@
+import { Hono } from 'hono';
+import config from '../../config.js';
+import { httpCache } from '../utils/httpCache.js';
+import { withCache } from '../utils/cache.js';
+import { InvalidInputError } from '../utils/errors.js';
+import { runCanary, getCanaryParsers } from '../canary.js';
+
+const health = new Hono();
+
+/**
+ * GET /api/health/canary?parsers={parsers}
+ * Run each parser against its reference content and report pass/fail.
+ * Answers 200 when every parser passes and 503 otherwise, so monitoring
+ * can alert on the status code alone. Reports are reused for the canary
+ * cache profile's TTL.
+ */
+health.get('/canary', httpCache(config.cacheProfiles.canary), async (c) => {
+    const parsers = (c.req.query('parsers') || '').split(',').map(p => p.trim()).filter(Boolean);
+
+    const known = getCanaryParsers();
+    const unknown = parsers.filter(p => !known.includes(p));
+    if (unknown.length > 0) {
+        throw new InvalidInputError(`Unknown parsers: ${unknown.join(', ')}. Must be one of: ${known.join(', ')}`);
+    }
+
+    const cacheKey = `canary:${parsers.length > 0 ? [...parsers].sort().join(',') : 'all'}`;
+    const report = await withCache(cacheKey, config.cacheProfiles.canary, () => runCanary(parsers));
+
+    return c.json(report, report.success ? 200 : 503);
+});
+
+export default health;
@@ -1,4 +1,6 @@
 import { Hono } from 'hono';
+import config from '../../config.js';
+import { httpCache } from '../utils/httpCache.js';
 import { scrapeHome } from '../scrapers/home.js';
 
 const home = new Hono();
@@ -7,20 +9,12 @@ const home = new Hono();
  * GET /api/home
  * Get homepage data including latest series, movies, and schedule
  */
-home.get('/', async (c) => {
-    try {
-        const data = await scrapeHome();
-        return c.json({
-            success: true,
-            data
-        });
-    } catch (error) {
-        console.error('Home route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+home.get('/', httpCache(config.cacheProfiles.home), async (c) => {
+    const data = await scrapeHome();
+    return c.json({
+        success: true,
+        data
+    });
 });
 
 export default home;
@@ -1,4 +1,7 @@
 import { Hono } from 'hono';
+import config from '../../config.js';
+import { httpCache } from '../utils/httpCache.js';
+import { InvalidInputError } from '../utils/errors.js';
 import { scrapeSchedule, scrapeDaySchedule } from '../scrapers/schedule.js';
 
 const schedule = new Hono();
@@ -7,51 +10,29 @@ const schedule = new Hono();
  * GET /api/schedule
  * Get weekly anime release schedule
  */
-schedule.get('/', async (c) => {
-    try {
-        const data = await scrapeSchedule();
-        return c.json(data);
-    } catch (error) {
-        console.error('Schedule route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
-    }
+schedule.get('/', httpCache(config.cacheProfiles.schedule), async (c) => {
+    const data = await scrapeSchedule();
+    return c.json(data);
 });
 
 /**
  * GET /api/schedule/:day
  * Get schedule for specific day
  */
-schedule.get('/:day', async (c) => {
-    try {
-        const day = c.req.param('day');
-
-        if (!day) {
-            return c.json({
-                success: false,
-                error: 'Day is required'
-            }, 400);
-        }
+schedule.get('/:day', httpCache(config.cacheProfiles.schedule), async (c) => {
+    const day = c.req.param('day');
 
-        const validDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-        if (!validDays.includes(day.toLowerCase())) {
-            return c.json({
-                success: false,
-                error: 'Invalid day. Must be one of: ' + validDays.join(', ')
-            }, 400);
-        }
+    if (!day) {
+        throw new InvalidInputError('Day is required');
+    }
 
-        const data = await scrapeDaySchedule(day);
-        return c.json(data);
-    } catch (error) {
-        console.error('Day schedule route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
+    const validDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    if (!validDays.includes(day.toLowerCase())) {
+        throw new InvalidInputError('Invalid day. Must be one of: ' + validDays.join(', '));
     }
+
+    const data = await scrapeDaySchedule(day);
+    return c.json(data);
 });
 
 export default schedule;
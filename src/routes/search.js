@@ -1,4 +1,7 @@
 import { Hono } from 'hono';
+import config from '../../config.js';
+import { httpCache } from '../utils/httpCache.js';
+import { InvalidInputError } from '../utils/errors.js';
 import { scrapeSearch, scrapeSearchSuggestions } from '../scrapers/search.js';
 
 const search = new Hono();
@@ -7,53 +10,31 @@ const search = new Hono();
  * GET /api/search?keyword={query}&page={page}
  * Search for anime/series
  */
-search.get('/', async (c) => {
-    try {
-        const keyword = c.req.query('keyword') || c.req.query('q');
-        const page = parseInt(c.req.query('page')) || 1;
-
-        if (!keyword) {
-            return c.json({
-                success: false,
-                error: 'Keyword parameter is required'
-            }, 400);
-        }
-
-        const data = await scrapeSearch(keyword, page);
-        return c.json(data);
-    } catch (error) {
-        console.error('Search route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
+search.get('/', httpCache(config.cacheProfiles.search), async (c) => {
+    const keyword = c.req.query('keyword') || c.req.query('q');
+    const page = parseInt(c.req.query('page')) || 1;
+
+    if (!keyword) {
+        throw new InvalidInputError('Keyword parameter is required');
     }
+
+    const data = await scrapeSearch(keyword, page);
+    return c.json(data);
 });
 
 /**
  * GET /api/search/suggestions?keyword={query}
  * Get search suggestions
  */
-search.get('/suggestions', async (c) => {
-    try {
-        const keyword = c.req.query('keyword') || c.req.query('q');
-
-        if (!keyword) {
-            return c.json({
-                success: false,
-                error: 'Keyword parameter is required'
-            }, 400);
-        }
-
-        const data = await scrapeSearchSuggestions(keyword);
-        return c.json(data);
-    } catch (error) {
-        console.error('Search suggestions route error:', error.message);
-        return c.json({
-            success: false,
-            error: error.message
-        }, 500);
+search.get('/suggestions', httpCache(config.cacheProfiles.suggestions), async (c) => {
+    const keyword = c.req.query('keyword') || c.req.query('q');
+
+    if (!keyword) {
+        throw new InvalidInputError('Keyword parameter is required');
     }
+
+    const data = await scrapeSearchSuggestions(keyword);
+    return c.json(data);
 });
 
 export default search;
@@ -0,0 +1,100 @@
+import config from '../config.js';
+import { configureCache, refreshCache } from './utils/cache.js';
+import { runWithContext } from './utils/context.js';
+import { configureUpstream } from './utils/upstream.js';
+import { configureLayouts } from './utils/layouts.js';
+import { scrapeHome } from './scrapers/home.js';
+import { scrapeSchedule } from './scrapers/schedule.js';
+import { scrapeCategory, scrapeLatestSeries, scrapeLatestMovies } from './scrapers/categories.js';
+
+/**
+ * Build the warm-up jobs for each job group
+ * Each job refreshes one cache key by re-running the scraper that owns it.
+ * @returns {object} Jobs keyed by group name
+ */
+const buildJobs = () => ({
+    home: [
+        { name: 'home', key: 'home', run: () => scrapeHome() }
+    ],
+    schedule: [
+        { name: 'schedule', key: 'schedule:weekly', run: () => scrapeSchedule() }
+    ],
+    latest: [
+        { name: 'latest-series', key: 'category:anime-series:1', run: () => scrapeLatestSeries(1) },
+        { name: 'latest-movies', key: 'category:anime-movies:1', run: () => scrapeLatestMovies(1) }
+    ],
+    categories: config.warmup.categories.map(slug => ({
+        name: `category-${slug}`,
+        key: `category:${slug}:1`,
+        run: () => scrapeCategory(slug, 1)
+    }))
+});
+
+/**
+ * Resolve job groups into a flat, de-duplicated job list
+ * @param {string[]} groups - Job group names (all groups if empty)
+ * @returns {object[]} Jobs
+ */
+const selectJobs = (groups = []) => {
+    const jobs = buildJobs();
+    const selected = groups.length > 0 ? groups : Object.keys(jobs);
+    const seen = new Set();
+
+    return selected.flatMap(group => jobs[group] || []).filter(job => {
+        if (seen.has(job.key)) return false;
+        seen.add(job.key);
+        return true;
+    });
+};
+
+/**
+ * Pre-warm the cache by refreshing popular resources.
+ * Jobs run one after another to stay polite to the upstream site.
+ * @param {string[]} groups - Job groups to run (home, schedule, latest, categories)
+ * @returns {Promise<object>} Per-job report
+ */
+export const runWarmup = async (groups = []) => {
+    const startedAt = Date.now();
+    const results = [];
+
+    for (const job of selectJobs(groups)) {
+        const jobStart = Date.now();
+        try {
+            await refreshCache(job.key, job.run);
+            results.push({ job: job.name, key: job.key, success: true, duration: Date.now() - jobStart });
+        } catch (error) {
+            console.error(`[Warmup] Job ${job.name} failed:`, error.message);
+            results.push({ job: job.name, key: job.key, success: false, duration: Date.now() - jobStart, error: error.message });
+        }
+    }
+
+    const failed = results.filter(r => !r.success).length;
+    console.log(`[Warmup] ${results.length - failed}/${results.length} jobs succeeded in ${Date.now() - startedAt}ms`);
+
+    return {
+        success: failed === 0,
+        duration: Date.now() - startedAt,
+        succeeded: results.length - failed,
+        failed,
+        results
+    };
+};
+
+/**
+ * Workers cron handler
+ * Test locally with `wrangler dev --test-scheduled` and
+ * `curl "http://localhost:8787/__scheduled?cron=0+*+*+*+*"`.
+ * @param {ScheduledController} event - Scheduled event (cron expression in event.cron)
+ * @param {object} env - Worker environment bindings
+ * @param {ExecutionContext} ctx - Execution context
+ */
+export const handleScheduled = async (event, env, ctx) => {
+    configureCache(env);
+    configureUpstream(env);
+    configureLayouts(env);
+    const groups = config.warmup.schedules[event.cron] || [];
+    console.log(`[Warmup] Cron "${event.cron}" triggered: ${groups.length ? groups.join(', ') : 'all jobs'}`);
+    ctx.waitUntil(runWithContext({ executionCtx: ctx }, () => runWarmup(groups)));
+};
+
+export default { runWarmup, handleScheduled };
@@ -1,5 +1,21 @@
-import { fetchPage, parseHTML, extractEpisodeInfo, cleanText, extractAnimeId } from '../utils/scraper.js';
-import { getCache, setCache } from '../utils/cache.js';
+import {
+    fetchPage,
+    parseHTML,
+    extractEpisodeInfo,
+    cleanText,
+    extractAnimeId,
+    parseRuntime,
+    extractJsonLd,
+    detectLanguages,
+    detectLayoutLanguages,
+    classifyContent,
+    collectClasses
+} from '../utils/scraper.js';
+import { withCache, rememberNotFound, getKnownNotFound } from '../utils/cache.js';
+import { ApiError, NotFoundError, ParseError, UpstreamError } from '../utils/errors.js';
+import { buildUrl, resolveUrl } from '../utils/upstream.js';
+import { getLayout, query, extract, extractAll, toSelector } from '../utils/layouts.js';
+import config from '../../config.js';
 
 /**
  * Scrape anime/series/movie/cartoon details
@@ -9,221 +25,558 @@ import { getCache, setCache } from '../utils/cache.js';
  */
 export const scrapeAnimeDetails = async (id, type = null) => {
     const cacheKey = `content:${id}:${type || 'auto'}`;
-    const cached = getCache(cacheKey);
 
-    if (cached) {
-        return cached;
+    // Fail fast for IDs recently confirmed missing on every content path
+    const knownNotFound = await getKnownNotFound(`content:${id}`);
+    if (knownNotFound) {
+        throw new NotFoundError(knownNotFound.message || `Content not found: ${id}`);
     }
 
-    try {
-        let html;
-        let url;
-        let detectedType = type;
-
-        // If type is provided, use it directly
-        if (type) {
-            if (type === 'series') {
-                url = `/series/${id}/`;
-            } else if (type === 'movie') {
-                url = `/movies/${id}/`;
-            } else if (type === 'cartoon') {
-                url = `/cartoons/${id}/`;
-            } else {
-                url = `/series/${id}/`; // Default to series
-            }
-            
-            try {
-                html = await fetchPage(url);
-            } catch (error) {
-                // If specified type fails, try auto-detection
-                if (error.message.includes('404')) {
-                    console.log(`Type ${type} not found for ${id}, trying auto-detection`);
-                    detectedType = null; // Reset for auto-detection
+    return withCache(cacheKey, config.cacheProfiles.content, async () => {
+        try {
+            let html;
+            let url;
+            let detectedType = type;
+
+            // If type is provided, use it directly
+            if (type) {
+                if (type === 'series') {
+                    url = `/series/${id}/`;
+                } else if (type === 'movie') {
+                    url = `/movies/${id}/`;
+                } else if (type === 'cartoon') {
+                    url = `/cartoons/${id}/`;
                 } else {
-                    throw error;
+                    url = `/series/${id}/`; // Default to series
                 }
-            }
-        }
-
-        // Auto-detect type if not specified or if specified type failed
-        if (!detectedType || !html) {
-            const types = ['series', 'movies', 'cartoons'];
-            let lastError;
             
-            for (const tryType of types) {
                 try {
-                    url = `/${tryType}/${id}/`;
                     html = await fetchPage(url);
-                    detectedType = tryType === 'movies' ? 'movie' : tryType;
-                    lastError = null;
-                    break;
                 } catch (error) {
-                    lastError = error;
-                    if (!error.message.includes('404')) {
-                        throw error; // Throw non-404 errors immediately
+                    // If specified type fails, try auto-detection
+                    if (error instanceof NotFoundError) {
+                        console.log(`Type ${type} not found for ${id}, trying auto-detection`);
+                        detectedType = null; // Reset for auto-detection
+                    } else {
+                        throw error;
                     }
                 }
             }
+
+            // Auto-detect type if not specified or if specified type failed
+            if (!detectedType || !html) {
+                const types = ['series', 'movies', 'cartoons'];
+                let lastError;
             
-            if (!html && lastError) {
-                throw new Error(`Content not found: ${id} (tried: series, movies, cartoons)`);
+                for (const tryType of types) {
+                    try {
+                        url = `/${tryType}/${id}/`;
+                        html = await fetchPage(url);
+                        detectedType = tryType === 'movies' ? 'movie' : tryType === 'cartoons' ? 'cartoon' : tryType;
+                        lastError = null;
+                        break;
+                    } catch (error) {
+                        lastError = error;
+                        if (!(error instanceof NotFoundError)) {
+                            throw error; // Throw non-404 errors immediately
+                        }
+                    }
+                }
+            
+                if (!html && lastError) {
+                    const message = `Content not found: ${id} (tried: series, movies, cartoons)`;
+                    await rememberNotFound(`content:${id}`, message);
+                    throw new NotFoundError(message);
+                }
             }
-        }
 
-        const $ = parseHTML(html);
+            const $ = parseHTML(html);
+            const layout = getLayout('detail');
 
-        // Extract basic info
-        const title = $('h1, .entry-title, .title, [class*="title"]').first().text().trim() ||
-            id.replace(/-/g, ' ');
+            // Extract basic info
+            const title = extract($, null, layout.title) || id.replace(/-/g, ' ');
+            const poster = extract($, null, layout.poster) || '';
 
-        const posterEl = $('.poster img, .thumbnail img, article img, [class*="poster"] img').first();
-        let poster = posterEl.attr('src') || posterEl.attr('data-src') || posterEl.attr('data-lazy-src') || '';
-        if (poster && !poster.startsWith('http')) {
-            poster = poster.startsWith('//') ? `https:${poster}` : `https://toonstream.one${poster}`;
-        }
+            // Extract description/synopsis
+            let description = '';
+            query($, null, layout.description).find('p').each((_, p) => {
+                const text = $(p).text().trim();
+                if (text && text.length > 20) {
+                    description += text + ' ';
+                }
+            });
+            description = cleanText(description);
 
-        // Extract description/synopsis
-        const descEl = $('.description, .synopsis, .entry-content, [class*="description"]');
-        let description = '';
-        descEl.find('p').each((_, p) => {
-            const text = $(p).text().trim();
-            if (text && text.length > 20) {
-                description += text + ' ';
-            }
-        });
-        description = cleanText(description);
+            // Extract metadata
+            const rating = extract($, null, layout.rating);
+            const quality = extract($, null, layout.quality);
+            const runtime = extract($, null, layout.runtime);
+
+            // Extract structured metadata (JSON-LD, info block, meta tags)
+            const metadata = extractMetadata($, layout, title);
 
-        // Extract metadata
-        const ratingEl = $('.rating, .tmdb, .imdb, [class*="rating"]');
-        const ratingText = ratingEl.text();
-        const rating = parseFloat(ratingText.match(/[\d.]+/)?.[0]) || null;
+            // Extract genres/categories
+            const genres = [];
+            extractAll($, null, layout.genres).forEach(genre => {
+                if (!genres.includes(genre) && genre.length < 50) {
+                    genres.push(genre);
+                }
+            });
 
-        const qualityEl = $('.quality, [class*="quality"]');
-        const quality = qualityEl.text().trim() || null;
+            // Extract languages from the post's own category tags, badges and
+            // classes (the site menu names every language, so not page text)
+            const postClasses = extract($, null, layout.postClasses);
+            const languages = [...new Set([
+                ...detectLayoutLanguages($, layout, 'languages'),
+                ...detectLanguages(postClasses)
+            ])];
+
+            // Extract cast (slugs from /cast_tv/ links, see scrapeCast)
+            const cast = [];
+            query($, null, layout.cast).each((_, el) => {
+                const name = cleanText($(el).text());
+                const href = $(el).attr('href') || '';
+                const slug = href.match(/\/cast_tv\/([^\/?#]+)/)?.[1] || null;
+
+                if (name && name.length < 50 && !cast.some(member => member.name === name)) {
+                    cast.push({ name, slug, url: slug ? resolveUrl(href) : null });
+                }
+            });
+
+            // Extract related content
+            const related = [];
+            query($, null, layout.related).each((_, el) => {
+                const anime = extractAnimeCard($(el), $);
+                if (anime && anime.id) {
+                    related.push(anime);
+                }
+            });
+
+            // Extract episodes/seasons (only for series and cartoons)
+            const seasons = {};
+            const seasonList = [];
+            const failedSeasons = [];
+            let totalEpisodes = 0;
+
+            if (detectedType === 'series' || detectedType === 'cartoon') {
+                // The page only renders the selected season; the others load
+                // through the season selector, like the site does
+                const rendered = extractPageSeasons($, layout);
+                const tabs = extractSeasonTabs($, layout);
+
+                // A season that fails to load is reported in failedSeasons
+                // instead of failing the whole details response
+                const missing = tabs.filter(tab => !rendered[tab.number] && tab.postId);
+                const loaded = await Promise.allSettled(
+                    missing.map(tab => scrapeSeasonEpisodes(tab.postId, tab.number, url))
+                );
+                missing.forEach((tab, i) => {
+                    if (loaded[i].status === 'fulfilled') {
+                        rendered[tab.number] = { title: null, episodes: loaded[i].value.episodes };
+                    } else {
+                        console.warn(`Season ${tab.number} of ${id} failed to load:`, loaded[i].reason?.message);
+                        failedSeasons.push(tab.number);
+                    }
+                });
 
-        const runtimeEl = $('.runtime, .duration, [class*="runtime"]');
-        const runtime = runtimeEl.text().trim() || null;
+                const numbers = [...new Set([...Object.keys(rendered).map(Number), ...tabs.map(tab => tab.number)])]
+                    .sort((a, b) => a - b);
 
-        // Extract genres/categories
-        const genres = [];
-        $('[rel="category tag"], .genres a, .category a, [class*="genre"] a').each((_, el) => {
-            const genre = $(el).text().trim();
-            if (genre && !genres.includes(genre) && genre.length < 50) {
-                genres.push(genre);
+                for (const number of numbers) {
+                    const tab = tabs.find(t => t.number === number);
+
+                    if (failedSeasons.includes(number)) {
+                        seasonList.push({
+                            number,
+                            title: tab?.title || `Season ${number}`,
+                            episodeCount: null,
+                            failed: true
+                        });
+                        continue;
+                    }
+
+                    const episodes = rendered[number]?.episodes || [];
+                    if (episodes.length === 0) continue;
+
+                    seasons[number] = episodes;
+                    seasonList.push({
+                        number,
+                        title: rendered[number].title || tab?.title || `Season ${number}`,
+                        episodeCount: episodes.length
+                    });
+                    totalEpisodes += episodes.length;
+                }
             }
-        });
 
-        // Extract languages
-        const languages = [];
-        const pageText = $('body').text();
-        const langMatches = pageText.match(/Hindi|Tamil|Telugu|English|Japanese|Urdu/gi) || [];
-        langMatches.forEach(lang => {
-            const normalized = lang.charAt(0).toUpperCase() + lang.slice(1).toLowerCase();
-            if (!languages.includes(normalized)) {
-                languages.push(normalized);
+            // The URL type only says where the page lives; cartoons are
+            // often filed under /series/ with a cartoon category
+            const contentType = classifyContent({
+                url,
+                classes: postClasses,
+                categories: genres
+            }) || detectedType;
+
+            if (contentType === 'cartoon') {
+                for (const number of Object.keys(seasons)) {
+                    seasons[number] = seasons[number].map(episode => ({ ...episode, type: 'cartoon' }));
+                }
             }
+
+            const data = {
+                success: true,
+                id,
+                title,
+                type: contentType,
+                poster,
+                description,
+                rating,
+                quality,
+                runtime,
+                runtimeMinutes: parseRuntime(runtime) || metadata.runtimeMinutes,
+                year: metadata.year,
+                status: metadata.status,
+                originalTitle: metadata.originalTitle,
+                alternateTitles: metadata.alternateTitles,
+                directors: metadata.directors,
+                networks: metadata.networks,
+                backdrop: metadata.backdrop,
+                trailer: metadata.trailer,
+                externalIds: metadata.externalIds,
+                genres,
+                languages,
+                cast,
+                totalEpisodes,
+                totalSeasons: seasonList.length,
+                seasonList,
+                seasons,
+                // True when some seasons could not be loaded (see seasonList[].failed)
+                partial: failedSeasons.length > 0,
+                related,
+                url: buildUrl(`/${detectedType === 'movie' ? 'movies' : detectedType === 'cartoon' ? 'cartoons' : 'series'}/${id}/`)
+            };
+
+            return data;
+        } catch (error) {
+            console.error('Error scraping content details:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape content details: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * List the seasons of a series (summaries without episodes)
+ * @param {string} id - Content ID/slug
+ * @returns {Promise<object>} Season summaries
+ */
+export const scrapeSeasons = async (id) => {
+    const details = await scrapeAnimeDetails(id);
+
+    return {
+        success: true,
+        id,
+        title: details.title,
+        type: details.type,
+        totalSeasons: details.totalSeasons,
+        totalEpisodes: details.totalEpisodes,
+        seasons: details.seasonList || [],
+        partial: Boolean(details.partial),
+        ...(details.stale && { stale: true })
+    };
+};
+
+/**
+ * Get one season's episodes with pagination, ordering and language filtering
+ * Episodes without their own language badges inherit the series languages.
+ * @param {string} id - Content ID/slug
+ * @param {number} number - Season number
+ * @param {object} options - { page, limit, order: 'asc'|'desc', language }
+ * @returns {Promise<object>} Season episodes
+ */
+export const scrapeSeason = async (id, number, { page = 1, limit = 50, order = 'asc', language = null } = {}) => {
+    const details = await scrapeAnimeDetails(id);
+    const season = (details.seasonList || []).find(s => s.number === number);
+
+    if (!season) {
+        throw new NotFoundError(`Season ${number} not found for ${id}`);
+    }
+
+    if (season.failed) {
+        throw new UpstreamError(`Season ${number} of ${id} could not be loaded`);
+    }
+
+    let episodes = [...details.seasons[number]];
+
+    if (language) {
+        const wanted = language.toLowerCase();
+        episodes = episodes.filter(episode => {
+            const languages = episode.languages?.length ? episode.languages : details.languages;
+            return languages.some(lang => lang.toLowerCase() === wanted);
         });
+    }
+
+    episodes.sort((a, b) => order === 'desc' ? b.number - a.number : a.number - b.number);
+
+    const totalPages = Math.max(1, Math.ceil(episodes.length / limit));
+
+    return {
+        success: true,
+        id,
+        title: details.title,
+        season,
+        language,
+        order,
+        episodes: episodes.slice((page - 1) * limit, page * limit),
+        pagination: {
+            currentPage: page,
+            totalPages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            perPage: limit,
+            totalEpisodes: episodes.length
+        },
+        ...(details.stale && { stale: true })
+    };
+};
+
+/**
+ * Get one season's episodes through the theme's season selector
+ * (POST admin-ajax.php, the same request the site makes when a season is picked)
+ * @param {string} postId - WordPress post ID of the series
+ * @param {number} season - Season number
+ * @param {string} referer - Series page path (sent as Referer)
+ * @returns {Promise<object>} Season episodes
+ */
+export const scrapeSeasonEpisodes = async (postId, season, referer = '/') => {
+    const cacheKey = `season:${postId}:${season}`;
+
+    return withCache(cacheKey, config.cacheProfiles.season, async () => {
+        try {
+            const body = new URLSearchParams({
+                action: config.upstream.seasonAction,
+                season: String(season),
+                post: String(postId)
+            }).toString();
+
+            const html = await fetchPage(config.upstream.ajaxPath, {
+                method: 'POST',
+                profile: 'ajax',
+                body,
+                headers: { 'Referer': buildUrl(referer) }
+            });
+            const $ = parseHTML(html);
+            const layout = getLayout('detail');
 
-        // Extract cast
-        const cast = [];
-        $('[href*="/cast_tv/"], .cast a').each((_, el) => {
-            const member = $(el).text().trim();
-            if (member && !cast.includes(member) && member.length < 50) {
-                cast.push(member);
+            const episodes = [];
+            const seen = new Set();
+            query($, null, layout.episodeLinks).each((_, el) => {
+                const episode = extractEpisodeAt($, el, layout);
+                if (episode && !seen.has(episode.id)) {
+                    seen.add(episode.id);
+                    episode.season = Number(season);
+                    episodes.push(episode);
+                }
+            });
+
+            return {
+                success: true,
+                postId: String(postId),
+                season: Number(season),
+                episodes
+            };
+        } catch (error) {
+            console.error('Error scraping season episodes:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape season ${season}: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Extract the episode behind an episode link (from its list item when there is one)
+ */
+function extractEpisodeAt($, el, layout) {
+    const container = $(el).closest(toSelector(layout.episodeItem));
+    const episode = extractEpisodeInfo(container.length ? container : $(el).parent(), $);
+    return episode && episode.id ? episode : null;
+}
+
+/**
+ * Extract the episodes rendered on a series page, grouped by season
+ * Season containers are used when present; otherwise episodes are grouped
+ * by the season number in their ID (e.g. "naruto-2x5").
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {object} layout - Detail layout
+ * @returns {object} { [season]: { title, episodes } }
+ */
+function extractPageSeasons($, layout) {
+    const seasons = {};
+    const seen = new Set();
+
+    const add = (number, title, episode) => {
+        if (seen.has(episode.id)) return;
+        seen.add(episode.id);
+        seasons[number] = seasons[number] || { title: null, episodes: [] };
+        seasons[number].title = seasons[number].title || title;
+        seasons[number].episodes.push(episode);
+    };
+
+    // Look for season containers
+    query($, null, layout.seasons).each((_, seasonEl) => {
+        const seasonText = extract($, $(seasonEl), layout.seasonTitle) || '';
+        const seasonMatch = seasonText.match(/season\s*(\d+)/i);
+        const number = seasonMatch ? parseInt(seasonMatch[1]) : null;
+
+        query($, $(seasonEl), layout.episodeLinks).each((_, el) => {
+            const episode = extractEpisodeAt($, el, layout);
+            if (episode) {
+                episode.season = number || episode.season;
+                add(episode.season, seasonMatch ? cleanText(seasonText) : null, episode);
             }
         });
+    });
 
-        // Extract related content
-        const related = [];
-        $('.related-posts article, .related-movies article, .related article, [class*="related"] article').each((_, el) => {
-            const anime = extractAnimeCard($(el), $);
-            if (anime && anime.id) {
-                related.push(anime);
+    // No season containers: every episode link on the page, except those
+    // in the site chrome (e.g. a "Latest Episodes" sidebar of other shows)
+    if (Object.keys(seasons).length === 0) {
+        const chrome = toSelector(layout.chrome);
+        query($, null, layout.episodeLinks).each((_, el) => {
+            if (chrome && $(el).closest(chrome).length > 0) return;
+            const episode = extractEpisodeAt($, el, layout);
+            if (episode) {
+                add(episode.season || 1, null, episode);
             }
         });
+    }
 
-        // Extract episodes/seasons (only for series and cartoons)
-        const seasons = {};
-        let allEpisodes = [];
-        let totalEpisodes = 0;
-
-        if (detectedType === 'series' || detectedType === 'cartoon') {
-            // Look for season containers
-            $('[class*="season"], .episodes-list, [id*="season"]').each((_, seasonEl) => {
-                const seasonText = $(seasonEl).find('[class*="season-title"], h2, h3').first().text();
-                const seasonMatch = seasonText.match(/season\s*(\d+)/i);
-                const seasonNum = seasonMatch ? parseInt(seasonMatch[1]) : 1;
-
-                const episodes = [];
-                $(seasonEl).find('a[href*="/episode/"]').each((_, el) => {
-                    const container = $(el).closest('li, .episode-item');
-                    const elementToParse = container.length ? container : $(el).parent();
-
-                    const episode = extractEpisodeInfo(elementToParse, $);
-                    if (episode && episode.id) {
-                        episode.season = seasonNum;
-                        episodes.push(episode);
-                        allEpisodes.push(episode);
-                    }
-                });
+    return seasons;
+}
 
-                if (episodes.length > 0) {
-                    seasons[seasonNum] = episodes;
-                }
-            });
+/**
+ * Extract the season selector tabs
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {object} layout - Detail layout
+ * @returns {object[]} [{ number, title, postId }]
+ */
+function extractSeasonTabs($, layout) {
+    const pagePostId = extract($, null, layout.postId);
+    const tabs = [];
 
-            // If no seasons found, try to get all episode links
-            if (Object.keys(seasons).length === 0) {
-                $('a[href*="/episode/"]').each((_, el) => {
-                    const container = $(el).closest('li, .episode-item');
-                    const elementToParse = container.length ? container : $(el).parent();
+    query($, null, layout.seasonTabs).each((_, el) => {
+        const $tab = $(el);
+        const number = parseInt($tab.attr('data-season'));
+        if (!number || tabs.some(tab => tab.number === number)) return;
 
-                    const episode = extractEpisodeInfo(elementToParse, $);
-                    if (episode && episode.id) {
-                        allEpisodes.push(episode);
-                    }
-                });
+        tabs.push({
+            number,
+            title: cleanText($tab.text()) || null,
+            postId: $tab.attr('data-post') || pagePostId
+        });
+    });
 
-                // Group by season number
-                allEpisodes.forEach(ep => {
-                    const seasonNum = ep.season || 1;
-                    if (!seasons[seasonNum]) {
-                        seasons[seasonNum] = [];
-                    }
-                    seasons[seasonNum].push(ep);
-                });
-            }
+    return tabs;
+}
 
-            totalEpisodes = allEpisodes.length;
-        }
+// JSON-LD types that describe the content itself
+const CONTENT_TYPES = ['Movie', 'TVSeries', 'TVSeason', 'CreativeWorkSeries', 'VideoObject'];
 
-        const data = {
-            success: true,
-            id,
-            title,
-            type: detectedType,
-            poster,
-            description,
-            rating,
-            quality,
-            runtime,
-            genres,
-            languages,
-            cast,
-            totalEpisodes,
-            seasons,
-            related,
-            url: `https://toonstream.one/${detectedType === 'movie' ? 'movies' : detectedType === 'cartoon' ? 'cartoons' : 'series'}/${id}/`
-        };
+// Info block labels per metadata field (first match wins)
+const INFO_LABELS = [
+    ['status', /status/i],
+    ['originalTitle', /original (title|name)|native title/i],
+    ['alternateTitles', /also known|alternat|other titles?|synonym|\baka\b/i],
+    ['directors', /director/i],
+    ['networks', /network|studio|channel|production/i],
+    ['year', /year|release|first air|aired|premiere/i]
+];
 
-        setCache(cacheKey, data, 3600); // Cache for 1 hour
-        return data;
-    } catch (error) {
-        console.error('Error scraping content details:', error.message);
-        throw new Error(`Failed to scrape content details: ${error.message}`);
-    }
+/**
+ * Get the names from a JSON-LD value (string, Thing or an array of them)
+ */
+const ldNames = (value) => {
+    return [].concat(value || [])
+        .map(item => typeof item === 'string' ? item : item?.name)
+        .filter(Boolean)
+        .map(cleanText);
 };
 
+/**
+ * Parse a release year out of a date or free text
+ */
+const parseYear = (text) => parseInt(String(text || '').match(/\b(19|20)\d{2}\b/)?.[0]) || null;
+
+/**
+ * Read label/value rows ("Director: ...", "Status: Ended") from the info block
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {object} layout - Detail layout
+ * @returns {object} Value lists keyed by metadata field
+ */
+function extractInfoBlock($, layout) {
+    const info = {};
+
+    query($, null, layout.infoItems).each((_, el) => {
+        const $item = $(el);
+        const label = cleanText(query($, $item, layout.infoLabel).first().text()).replace(/:$/, '');
+        if (!label) return;
+
+        const field = INFO_LABELS.find(([, pattern]) => pattern.test(label))?.[0];
+        if (!field || info[field]) return;
+
+        // Linked values (directors, networks) or comma-separated text
+        const links = $item.find('a').map((_, a) => cleanText($(a).text())).get().filter(Boolean);
+        const text = cleanText($item.text()).replace(label, '').replace(/^\s*:\s*/, '');
+        const values = links.length > 0 ? links : text.split(/\s*,\s*/).filter(Boolean);
+
+        if (values.length > 0) {
+            info[field] = values;
+        }
+    });
+
+    return info;
+}
+
+/**
+ * Extract structured metadata from JSON-LD, the info block and the layout
+ * fields (which include meta tags), in that order of preference
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {object} layout - Detail layout
+ * @param {string} title - Content title (excluded from alternate titles)
+ * @returns {object} Metadata
+ */
+function extractMetadata($, layout, title) {
+    const ld = extractJsonLd($).find(node => {
+        return [].concat(node['@type']).some(type => CONTENT_TYPES.includes(type));
+    }) || {};
+    const info = extractInfoBlock($, layout);
+    const firstList = (...lists) => lists.find(list => list && list.length > 0) || [];
+    const unique = (list) => [...new Set(list)];
+
+    const ldTrailer = typeof ld.trailer === 'string' ? ld.trailer : ld.trailer?.embedUrl || ld.trailer?.url;
+
+    // External IDs from JSON-LD sameAs and links on the page
+    const links = [...[].concat(ld.sameAs || []), ...extractAll($, null, layout.externalLinks)];
+    const findId = (pattern) => links.map(link => String(link).match(pattern)?.[1]).find(Boolean) || null;
+
+    return {
+        year: parseYear(ld.datePublished || ld.startDate || ld.dateCreated) ||
+            parseYear(info.year?.join(' ')) ||
+            extract($, null, layout.year),
+        status: info.status?.[0] || extract($, null, layout.status),
+        originalTitle: info.originalTitle?.[0] || extract($, null, layout.originalTitle),
+        alternateTitles: unique(firstList(ldNames(ld.alternateName), info.alternateTitles))
+            .filter(name => name !== title),
+        directors: unique(firstList(ldNames(ld.director), info.directors, extractAll($, null, layout.directors))),
+        networks: unique(firstList(ldNames(ld.productionCompany), info.networks, extractAll($, null, layout.networks))),
+        backdrop: extract($, null, layout.backdrop),
+        trailer: ldTrailer ? resolveUrl(ldTrailer) : extract($, null, layout.trailer),
+        externalIds: {
+            tmdb: findId(/themoviedb\.org\/(?:tv|movie)\/(\d+)/),
+            imdb: findId(/imdb\.com\/title\/(tt\d+)/)
+        },
+        runtimeMinutes: parseRuntime(ld.duration)
+    };
+}
+
 /**
  * Helper function to extract anime card (needed for related content)
  */
@@ -242,8 +595,8 @@ function extractAnimeCard($element, $) {
     return {
         id: idData.id,
         title: title.replace(/^Image\s+/i, '').trim(),
-        type: idData.type,
-        poster: poster ? (poster.startsWith('http') ? poster : `https://toonstream.one${poster}`) : null
+        type: classifyContent({ url, classes: collectClasses($element) }) || idData.type,
+        poster: resolveUrl(poster)
     };
 }
 
@@ -284,4 +637,4 @@ export const checkBatchAvailability = async (ids) => {
     }
 };
 
-export default { scrapeAnimeDetails, checkBatchAvailability };
+export default { scrapeAnimeDetails, scrapeSeasons, scrapeSeason, scrapeSeasonEpisodes, checkBatchAvailability };
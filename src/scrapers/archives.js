@@ -0,0 +1,157 @@
+import { fetchPage, parseHTML, extractAnimeCard, extractPagination } from '../utils/scraper.js';
+import { getLayout, query, extract } from '../utils/layouts.js';
+import { withCache } from '../utils/cache.js';
+import { ApiError, ParseError } from '../utils/errors.js';
+import config from '../../config.js';
+
+// Archive types whose values are listed by scrapeArchiveIndex
+// (cast members are only reachable from content details)
+const DISCOVERABLE = ['tag', 'year', 'network'];
+
+/**
+ * Scrape a WordPress archive listing (cast member, tag, release year or network)
+ * @param {string} type - Archive type from config.upstream.archives
+ * @param {string} slug - Archive slug (e.g. "junko-takeuchi", "2023", "netflix")
+ * @param {number} page - Page number
+ * @returns {Promise<object>} Archive data with paginated results
+ */
+export const scrapeArchive = async (type, slug, page = 1) => {
+    const cacheKey = `${type}:${slug}:${page}`;
+
+    return withCache(cacheKey, config.cacheProfiles.archive, async () => {
+        try {
+            const path = config.upstream.archives[type];
+            const url = page === 1 ? `${path}/${slug}/` : `${path}/${slug}/page/${page}/`;
+
+            const html = await fetchPage(url);
+            const $ = parseHTML(html);
+
+            const layout = getLayout('listing');
+            const results = [];
+            const processedIds = new Set();
+
+            query($, null, layout.items).each((_, el) => {
+                const anime = extractAnimeCard($(el), $);
+                if (anime && anime.id && !processedIds.has(anime.id)) {
+                    processedIds.add(anime.id);
+                    results.push(anime);
+                }
+            });
+
+            const pagination = extractPagination($);
+            const name = extract($, null, layout.pageTitle) || slug;
+
+            const data = {
+                success: true,
+                type,
+                slug,
+                name,
+                results,
+                pagination
+            };
+
+            return data;
+        } catch (error) {
+            console.error(`Error scraping ${type} archive:`, error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape ${type} archive: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Scrape a cast member's filmography (series, movies and cartoons)
+ * @param {string} slug - Cast member slug, as in the content details' cast
+ * @param {number} page - Page number
+ * @returns {Promise<object>} Cast member data with paginated results
+ */
+export const scrapeCast = (slug, page = 1) => scrapeArchive('cast', slug, page);
+
+/**
+ * Scrape the titles with a tag
+ * @param {string} slug - Tag slug
+ * @param {number} page - Page number
+ * @returns {Promise<object>} Tag data with paginated results
+ */
+export const scrapeTag = (slug, page = 1) => scrapeArchive('tag', slug, page);
+
+/**
+ * Scrape the titles released in a year
+ * @param {string} year - Release year
+ * @param {number} page - Page number
+ * @returns {Promise<object>} Year data with paginated results
+ */
+export const scrapeYear = (year, page = 1) => scrapeArchive('year', year, page);
+
+/**
+ * Scrape the titles of a network/studio
+ * @param {string} slug - Network slug
+ * @param {number} page - Page number
+ * @returns {Promise<object>} Network data with paginated results
+ */
+export const scrapeNetwork = (slug, page = 1) => scrapeArchive('network', slug, page);
+
+/**
+ * List the tags, release years and networks linked from the home page
+ * (menus, tag cloud and sidebar widgets)
+ * @returns {Promise<object>} Archive values per type
+ */
+export const scrapeArchiveIndex = async () => {
+    const cacheKey = 'archives:all';
+
+    return withCache(cacheKey, config.cacheProfiles.archives, async () => {
+        try {
+            const html = await fetchPage('/');
+            const $ = parseHTML(html);
+
+            const layout = getLayout('listing');
+            const archives = {};
+
+            for (const type of DISCOVERABLE) {
+                const path = config.upstream.archives[type];
+                const values = [];
+
+                query($, null, layout.archiveLinks, { path }).each((_, el) => {
+                    const href = $(el).attr('href') || '';
+                    const slug = href.split(`${path}/`)[1]?.split('/')[0];
+                    const name = $(el).text().trim() || slug;
+
+                    if (slug && slug !== 'page' && !values.find(v => v.slug === slug)) {
+                        values.push({
+                            slug,
+                            name,
+                            url: href
+                        });
+                    }
+                });
+
+                // Newest years first
+                if (type === 'year') {
+                    values.sort((a, b) => b.slug.localeCompare(a.slug));
+                }
+
+                archives[type] = values;
+            }
+
+            const data = {
+                success: true,
+                archives
+            };
+
+            return data;
+        } catch (error) {
+            console.error('Error scraping archive index:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape archive index: ${error.message}`);
+        }
+    });
+};
+
+export default {
+    scrapeArchive,
+    scrapeCast,
+    scrapeTag,
+    scrapeYear,
+    scrapeNetwork,
+    scrapeArchiveIndex
+};
@@ -0,0 +1,213 @@
+import { withCache } from '../utils/cache.js';
+import { getContext } from '../utils/context.js';
+import { ApiError, InvalidInputError, ParseError } from '../utils/errors.js';
+import { scrapeCategory, getLanguageCategory } from './categories.js';
+import { scrapeYear } from './archives.js';
+import config from '../../config.js';
+
+export const BROWSE_TYPES = ['movie', 'series', 'cartoon'];
+export const BROWSE_SORTS = ['latest', 'oldest', 'title'];
+
+/**
+ * Build the upstream listings for a set of filters
+ * The first listing drives the result order; the others only filter.
+ * The type filter is checked on the cards, and only needs its own listing
+ * when no other filter has one.
+ * @param {object} filters - { type, genre, language, year }
+ * @returns {object[]} Listings: { source, load(page) }
+ */
+const buildListings = ({ type, genre, language, year }) => {
+    const listings = [];
+
+    if (year) {
+        listings.push({ source: `year:${year}`, load: (page) => scrapeYear(year, page) });
+    }
+    if (genre) {
+        listings.push({ source: `category:${genre}`, load: (page) => scrapeCategory(genre, page) });
+    }
+    if (language) {
+        const category = getLanguageCategory(language);
+        listings.push({ source: `category:${category}`, load: (page) => scrapeCategory(category, page) });
+    }
+    if (listings.length === 0 && type) {
+        const category = config.browse.typeCategories[type];
+        listings.push({ source: `category:${category}`, load: (page) => scrapeCategory(category, page) });
+    }
+
+    return listings;
+};
+
+/**
+ * Read a listing's pages, up to config.browse.maxPages
+ * @param {object} listing - { source, load(page) }
+ * @returns {Promise<object>} { source, results, pagesRead, totalPages, complete }
+ */
+const readListing = async (listing) => {
+    const first = await listing.load(1);
+    const totalPages = first.pagination.totalPages || 1;
+    const pagesRead = Math.min(totalPages, config.browse.maxPages);
+
+    const rest = await Promise.all(
+        Array.from({ length: pagesRead - 1 }, (_, i) => listing.load(i + 2))
+    );
+
+    return {
+        source: listing.source,
+        results: [first, ...rest].flatMap(page => page.results),
+        pagesRead,
+        totalPages,
+        complete: pagesRead >= totalPages
+    };
+};
+
+/**
+ * Load every title matching the filters, in upstream (newest first) order
+ * @param {object} filters - { type, genre, language, year }
+ * @returns {Promise<object>} { results, exhaustive, sources }
+ */
+export const loadBrowse = async (filters) => {
+    const { type = null, genre = null, language = null, year = null } = filters;
+    const cacheKey = `browse:${type || ''}:${genre || ''}:${language || ''}:${year || ''}`;
+
+    return withCache(cacheKey, config.cacheProfiles.browse, async () => {
+        try {
+            const listings = await Promise.all(
+                buildListings({ type, genre, language, year }).map(readListing)
+            );
+
+            const [driving, ...others] = listings;
+            const memberships = others.map(listing => new Set(listing.results.map(anime => anime.id)));
+
+            const results = [];
+            const seen = new Set();
+            for (const anime of driving.results) {
+                if (seen.has(anime.id)) continue;
+                if (type && anime.type !== type) continue;
+                if (!memberships.every(ids => ids.has(anime.id))) continue;
+
+                seen.add(anime.id);
+                results.push(anime);
+            }
+
+            const data = {
+                results,
+                // Every listing was read to its last page
+                exhaustive: listings.every(listing => listing.complete),
+                sources: listings.map(({ source, pagesRead, totalPages }) => ({ source, pagesRead, totalPages }))
+            };
+
+            return data;
+        } catch (error) {
+            console.error('Error browsing:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to browse: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Hash the filters and sort a cursor belongs to
+ * @returns {Promise<string>} Short hex digest
+ */
+const queryHash = async ({ type, genre, language, year }, sort) => {
+    const input = [type, genre, language, year, sort].map(value => value || '').join('|');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+    return [...new Uint8Array(digest)].slice(0, 6).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Encode a cursor pointing after the given result
+ * @returns {string} URL-safe cursor
+ */
+const encodeCursor = (after, offset, query) => {
+    return btoa(JSON.stringify({ after, offset, query }))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+};
+
+/**
+ * Decode a cursor from encodeCursor and check it belongs to this query
+ * @returns {object} { after, offset }
+ */
+const decodeCursor = (cursor, query) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    } catch {
+        throw new InvalidInputError('Invalid cursor');
+    }
+
+    const { after, offset } = decoded || {};
+    if (typeof after !== 'string' || !Number.isInteger(offset) || offset < 0) {
+        throw new InvalidInputError('Invalid cursor');
+    }
+    if (decoded.query !== query) {
+        throw new InvalidInputError('Cursor belongs to a different set of filters or sort');
+    }
+
+    return { after, offset };
+};
+
+/**
+ * Browse titles matching several filters at once
+ * Cursors name the last returned title, so pages stay stable when the
+ * cached result set is refreshed and titles are added in front. They only
+ * work for the filters and sort they were issued for.
+ * sort=oldest needs an exhaustive result set: with capped listings the
+ * reversed list would start at the oldest title read, not the oldest one.
+ * @param {object} filters - { type, genre, language, year }
+ * @param {object} options - { sort: 'latest'|'oldest'|'title', limit, cursor }
+ * @returns {Promise<object>} Page of results with nextCursor and exhaustive flag
+ */
+export const browseContent = async (filters, { sort = 'latest', limit = 20, cursor = null } = {}) => {
+    const query = await queryHash(filters, sort);
+    const position = cursor ? decodeCursor(cursor, query) : null;
+    const { results, exhaustive, sources, stale: lastGood } = await loadBrowse(filters);
+    // Stale data is a property of this request (some listing was served
+    // from a last known good copy), never of the cached browse entry
+    const stale = Boolean(lastGood || getContext()?.stale);
+
+    if (sort === 'oldest' && !exhaustive) {
+        throw new InvalidInputError(
+            `sort=oldest needs every listing read to its end, but they exceed ${config.browse.maxPages} pages; narrow the filters or use sort=latest`
+        );
+    }
+
+    let sorted = results;
+    if (sort === 'oldest') {
+        sorted = [...results].reverse();
+    } else if (sort === 'title') {
+        sorted = [...results].sort((a, b) => a.title.localeCompare(b.title) || a.id.localeCompare(b.id));
+    }
+
+    let start = 0;
+    if (position) {
+        const index = sorted.findIndex(anime => anime.id === position.after);
+        start = index >= 0 ? index + 1 : position.offset;
+    }
+
+    const page = sorted.slice(start, start + limit);
+    const end = start + page.length;
+    const hasMore = end < sorted.length;
+
+    return {
+        success: true,
+        filters: {
+            type: filters.type || null,
+            genre: filters.genre || null,
+            language: filters.language || null,
+            year: filters.year || null
+        },
+        sort,
+        results: page,
+        total: sorted.length,
+        exhaustive,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].id, end, query) : null,
+        sources,
+        ...(stale && { stale: true })
+    };
+};
+
+export default { browseContent, loadBrowse, BROWSE_TYPES, BROWSE_SORTS };
@@ -1,5 +1,8 @@
 import { fetchPage, parseHTML, extractAnimeCard, extractPagination } from '../utils/scraper.js';
-import { getCache, setCache } from '../utils/cache.js';
+import { getLayout, query, extract } from '../utils/layouts.js';
+import { withCache } from '../utils/cache.js';
+import { ApiError, NotFoundError, ParseError } from '../utils/errors.js';
+import config from '../../config.js';
 
 /**
  * Scrape anime by category
@@ -9,54 +12,52 @@ import { getCache, setCache } from '../utils/cache.js';
  */
 export const scrapeCategory = async (category, page = 1) => {
     const cacheKey = `category:${category}:${page}`;
-    const cached = getCache(cacheKey);
 
-    if (cached) {
-        return cached;
-    }
-
-    try {
-        // Try without /page/ first for page 1, then with /page/ for other pages
-        let url;
-        if (page === 1) {
-            url = `/category/${category}/`;
-        } else {
-            url = `/category/${category}/page/${page}/`;
-        }
-
-        const html = await fetchPage(url);
-        const $ = parseHTML(html);
-
-        const animes = [];
-        const processedIds = new Set();
-
-        // Use the same post-lst structure as search
-        $('ul.post-lst li').each((_, el) => {
-            const $li = $(el);
-            const anime = extractAnimeCard($li, $);
-            if (anime && anime.id && !processedIds.has(anime.id)) {
-                processedIds.add(anime.id);
-                animes.push(anime);
+    return withCache(cacheKey, config.cacheProfiles.category, async () => {
+        try {
+            // Try without /page/ first for page 1, then with /page/ for other pages
+            let url;
+            if (page === 1) {
+                url = `/category/${category}/`;
+            } else {
+                url = `/category/${category}/page/${page}/`;
             }
-        });
 
-        const pagination = extractPagination($);
-        const categoryName = $('.page-title, h1, .section-title').first().text().trim() || category;
-
-        const data = {
-            success: true,
-            category,
-            categoryName,
-            results: animes,  // Changed from 'animes' to 'results' for consistency
-            pagination
-        };
-
-        setCache(cacheKey, data, 1800); // Cache for 30 minutes
-        return data;
-    } catch (error) {
-        console.error('Error scraping category:', error.message);
-        throw new Error(`Failed to scrape category: ${error.message}`);
-    }
+            const html = await fetchPage(url);
+            const $ = parseHTML(html);
+
+            const layout = getLayout('listing');
+            const animes = [];
+            const processedIds = new Set();
+
+            // Use the same post-lst structure as search
+            query($, null, layout.items).each((_, el) => {
+                const $li = $(el);
+                const anime = extractAnimeCard($li, $);
+                if (anime && anime.id && !processedIds.has(anime.id)) {
+                    processedIds.add(anime.id);
+                    animes.push(anime);
+                }
+            });
+
+            const pagination = extractPagination($);
+            const categoryName = extract($, null, layout.pageTitle) || category;
+
+            const data = {
+                success: true,
+                category,
+                categoryName,
+                results: animes,  // Changed from 'animes' to 'results' for consistency
+                pagination
+            };
+
+            return data;
+        } catch (error) {
+            console.error('Error scraping category:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape category: ${error.message}`);
+        }
+    });
 };
 
 /**
@@ -65,65 +66,77 @@ export const scrapeCategory = async (category, page = 1) => {
  */
 export const scrapeCategories = async () => {
     const cacheKey = 'categories:all';
-    const cached = getCache(cacheKey);
-
-    if (cached) {
-        return cached;
-    }
 
-    try {
-        const html = await fetchPage('/');
-        const $ = parseHTML(html);
-
-        const categories = [];
-
-        // Extract from navigation menu
-        $('nav a[href*="/category/"], .menu a[href*="/category/"]').each((_, el) => {
-            const href = $(el).attr('href') || '';
-            const name = $(el).text().trim();
-            const slug = href.split('/category/')[1]?.split('/')[0];
-
-            if (slug && name) {
-                categories.push({
-                    slug,
-                    name,
-                    url: href
-                });
+    return withCache(cacheKey, config.cacheProfiles.categories, async () => {
+        try {
+            const html = await fetchPage('/');
+            const $ = parseHTML(html);
+
+            const layout = getLayout('listing');
+            const categories = [];
+
+            // Extract from navigation menu
+            query($, null, layout.categoryLinks).each((_, el) => {
+                const href = $(el).attr('href') || '';
+                const name = $(el).text().trim();
+                const slug = href.split('/category/')[1]?.split('/')[0];
+
+                if (slug && name) {
+                    categories.push({
+                        slug,
+                        name,
+                        url: href
+                    });
+                }
+            });
+
+            // Extract from footer or sidebar
+            query($, null, layout.categoryWidgets).each((_, el) => {
+                const href = $(el).attr('href') || '';
+                const name = $(el).text().trim();
+                const slug = href.split('/category/')[1]?.split('/')[0];
+
+                if (slug && name && !categories.find(c => c.slug === slug)) {
+                    categories.push({
+                        slug,
+                        name,
+                        url: href
+                    });
+                }
+            });
+
+            // If no categories found, use fallback
+            if (categories.length === 0) {
+                console.log('Using fallback genres');
+                categories.push(...FALLBACK_GENRES);
             }
-        });
-
-        // Extract from footer or sidebar
-        $('.widget_categories a, .categories a').each((_, el) => {
-            const href = $(el).attr('href') || '';
-            const name = $(el).text().trim();
-            const slug = href.split('/category/')[1]?.split('/')[0];
-
-            if (slug && name && !categories.find(c => c.slug === slug)) {
-                categories.push({
-                    slug,
-                    name,
-                    url: href
-                });
-            }
-        });
 
-        // If no categories found, use fallback
-        if (categories.length === 0) {
-            console.log('Using fallback genres');
-            categories.push(...FALLBACK_GENRES);
+            const data = {
+                success: true,
+                categories
+            };
+
+            return data;
+        } catch (error) {
+            console.error('Error scraping categories:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape categories: ${error.message}`);
         }
+    });
+};
 
-        const data = {
-            success: true,
-            categories
-        };
+// Language categories on toonstream whose slug differs from the language
+const LANGUAGE_CATEGORIES = {
+    'hindi': 'hindi-language'
+};
 
-        setCache(cacheKey, data, 7200); // Cache for 2 hours
-        return data;
-    } catch (error) {
-        console.error('Error scraping categories:', error.message);
-        throw new Error(`Failed to scrape categories: ${error.message}`);
-    }
+/**
+ * Get the category slug listing a language
+ * @param {string} language - Language (hindi, tamil, telugu, english)
+ * @returns {string} Category slug
+ */
+export const getLanguageCategory = (language) => {
+    return LANGUAGE_CATEGORIES[language.toLowerCase()] || language.toLowerCase();
 };
 
 /**
@@ -133,27 +146,13 @@ export const scrapeCategories = async () => {
  * @returns {Promise<object>} Language filtered data
  */
 export const scrapeByLanguage = async (language, page = 1) => {
-    const cacheKey = `language:${language}:${page}`;
-    const cached = getCache(cacheKey);
-
-    if (cached) {
-        return cached;
-    }
-
+    // Cached by scrapeCategory under the category key
     try {
-        // Language categories on toonstream
-        const languageMap = {
-            'hindi': 'hindi-language',
-            'tamil': 'tamil',
-            'telugu': 'telugu',
-            'english': 'english'
-        };
-
-        const categorySlug = languageMap[language.toLowerCase()] || language;
-        return await scrapeCategory(categorySlug, page);
+        return await scrapeCategory(getLanguageCategory(language), page);
     } catch (error) {
         console.error('Error scraping by language:', error.message);
-        throw new Error(`Failed to scrape by language: ${error.message}`);
+        if (error instanceof ApiError) throw error;
+        throw new ParseError(`Failed to scrape by language: ${error.message}`);
     }
 };
 
@@ -219,7 +218,7 @@ export const scrapeRandom = async (category) => {
         // 4. Pick random anime
         const animes = pageData.results || [];
         if (animes.length === 0) {
-            throw new Error('No anime found');
+            throw new NotFoundError(`No anime found in category: ${category}`);
         }
 
         const randomAnime = animes[Math.floor(Math.random() * animes.length)];
@@ -229,7 +228,8 @@ export const scrapeRandom = async (category) => {
         };
     } catch (error) {
         console.error('Error scraping random:', error.message);
-        throw new Error(`Failed to scrape random anime: ${error.message}`);
+        if (error instanceof ApiError) throw error;
+        throw new ParseError(`Failed to scrape random anime: ${error.message}`);
     }
 };
 
@@ -270,6 +270,7 @@ export default {
     scrapeCategory,
     scrapeCategories,
     scrapeByLanguage,
+    getLanguageCategory,
     scrapeMovies,
     scrapeSeries,
     scrapeLatestMovies,
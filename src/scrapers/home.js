@@ -1,5 +1,8 @@
 import { fetchPage, parseHTML, extractAnimeCard } from '../utils/scraper.js';
-import { getCache, setCache } from '../utils/cache.js';
+import { getLayout, query, extract } from '../utils/layouts.js';
+import { withCache } from '../utils/cache.js';
+import { ApiError, ParseError } from '../utils/errors.js';
+import config from '../../config.js';
 
 /**
  * Scrape homepage data
@@ -7,84 +10,81 @@ import { getCache, setCache } from '../utils/cache.js';
  */
 export const scrapeHome = async () => {
     const cacheKey = 'home';
-    const cached = getCache(cacheKey);
 
-    if (cached) {
-        return cached;
-    }
+    return withCache(cacheKey, config.cacheProfiles.home, async () => {
+        try {
+            const html = await fetchPage('/home/');
+            const $ = parseHTML(html);
 
-    try {
-        const html = await fetchPage('/home/');
-        const $ = parseHTML(html);
+            const data = {
+                latestSeries: [],
+                latestMovies: [],
+                trending: [],
+                schedule: {}
+            };
 
-        const data = {
-            latestSeries: [],
-            latestMovies: [],
-            trending: [],
-            schedule: {}
-        };
+            const listing = getLayout('listing');
+            const processedIds = new Set();
 
-        const processedIds = new Set();
+            // Target the post-lst structure like in search
+            query($, null, listing.items).each((_, el) => {
+                const $li = $(el);
 
-        // Target the post-lst structure like in search
-        $('ul.post-lst li').each((_, el) => {
-            const $li = $(el);
-            const liClass = $li.attr('class') || '';
+                // Skip if already processed
+                const url = extract($, $li, listing.link);
+                if (!url) return;
 
-            // Skip if already processed
-            const link = $li.find('a.lnk-blk').first();
-            const url = link.attr('href');
-            if (!url) return;
+                const id = url.split('/').filter(Boolean).pop();
+                if (!id || processedIds.has(id)) return;
+                processedIds.add(id);
 
-            const id = url.split('/').filter(Boolean).pop();
-            if (!id || processedIds.has(id)) return;
-            processedIds.add(id);
-
-            const anime = extractAnimeCard($li, $);
-            if (anime && anime.id) {
-                // Categorize based on URL pattern or class
-                if (liClass.includes('type-series') || anime.url.includes('/series/')) {
-                    if (data.latestSeries.length < 20) {
-                        data.latestSeries.push(anime);
-                    }
-                } else if (liClass.includes('type-movies') || anime.url.includes('/movies/') || anime.url.includes('/movie/')) {
-                    if (data.latestMovies.length < 20) {
-                        data.latestMovies.push(anime);
+                const anime = extractAnimeCard($li, $);
+                if (anime && anime.id) {
+                    // Categorize by content type (cartoons are series too)
+                    if (anime.type === 'series' || anime.type === 'cartoon') {
+                        if (data.latestSeries.length < 20) {
+                            data.latestSeries.push(anime);
+                        }
+                    } else if (anime.type === 'movie') {
+                        if (data.latestMovies.length < 20) {
+                            data.latestMovies.push(anime);
+                        }
                     }
                 }
-            }
-        });
+            });
 
-        // Extract schedule if available
-        const scheduleSection = $('.schedule, #schedule, [class*="schedule"]');
-        const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+            // Extract schedule if available
+            const schedule = getLayout('schedule');
+            const scheduleSection = query($, null, schedule.container);
+            const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
 
-        days.forEach(day => {
-            const daySection = scheduleSection.find(`[data-day="${day}"], .${day}, #${day}`);
-            const dayAnimes = [];
+            days.forEach(day => {
+                const daySection = query($, scheduleSection, schedule.day, { day });
+                const dayAnimes = [];
 
-            daySection.find('article, .item, .post').each((_, el) => {
-                const anime = extractAnimeCard($(el), $);
-                if (anime && anime.id) {
-                    const time = $(el).find('.time, .release-time').text().trim();
-                    dayAnimes.push({
-                        ...anime,
-                        releaseTime: time || null
-                    });
+                query($, daySection, schedule.items).each((_, el) => {
+                    const anime = extractAnimeCard($(el), $);
+                    if (anime && anime.id) {
+                        const time = extract($, $(el), schedule.time);
+                        dayAnimes.push({
+                            ...anime,
+                            releaseTime: time || null
+                        });
+                    }
+                });
+
+                if (dayAnimes.length > 0) {
+                    data.schedule[day] = dayAnimes;
                 }
             });
 
-            if (dayAnimes.length > 0) {
-                data.schedule[day] = dayAnimes;
-            }
-        });
-
-        setCache(cacheKey, data, 1800); // Cache for 30 minutes
-        return data;
-    } catch (error) {
-        console.error('Error scraping home:', error.message);
-        throw new Error(`Failed to scrape home page: ${error.message}`);
-    }
+            return data;
+        } catch (error) {
+            console.error('Error scraping home:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape home page: ${error.message}`);
+        }
+    });
 };
 
 export default { scrapeHome };
@@ -0,0 +1,98 @@
+import { refreshCache, deleteCache } from '../utils/cache.js';
+import { scrapeHome } from './home.js';
+import { scrapeSearch, scrapeSearchSuggestions } from './search.js';
+import { scrapeAnimeDetails, scrapeSeasonEpisodes } from './anime.js';
+import { scrapeEpisodeStreaming, scrapeServerLink } from './streaming.js';
+import { scrapeCategory, scrapeCategories } from './categories.js';
+import { scrapeSchedule, scrapeDaySchedule } from './schedule.js';
+import { scrapeArchive, scrapeArchiveIndex } from './archives.js';
+import { loadBrowse } from './browse.js';
+import { runCanary } from '../canary.js';
+
+/**
+ * Split "prefix:a:b" into its parts, keeping colons inside the middle part
+ * (search keywords may contain colons)
+ */
+const splitKey = (key) => {
+    const [prefix, ...rest] = key.split(':');
+    return { prefix, rest };
+};
+
+/**
+ * Map a cache key back to the scraper call that produces it
+ * @param {string} key - Cache key
+ * @returns {Function|null} Async function re-running the scraper, or null if unknown
+ */
+export const resolveResource = (key) => {
+    const { prefix, rest } = splitKey(key);
+
+    switch (prefix) {
+        case 'home':
+            return () => scrapeHome();
+        case 'schedule':
+            return rest[0] === 'weekly' ? () => scrapeSchedule() : () => scrapeDaySchedule(rest[0]);
+        case 'content': {
+            const type = rest.pop();
+            const id = rest.join(':');
+            return () => scrapeAnimeDetails(id, type === 'auto' ? null : type);
+        }
+        case 'season':
+            return () => scrapeSeasonEpisodes(rest[0], parseInt(rest[1]));
+        case 'episode':
+            return () => scrapeEpisodeStreaming(rest.join(':'));
+        case 'server': {
+            const serverId = rest.pop();
+            return () => scrapeServerLink(rest.join(':'), serverId);
+        }
+        case 'search': {
+            const page = parseInt(rest.pop()) || 1;
+            return () => scrapeSearch(rest.join(':'), page);
+        }
+        case 'suggestions':
+            return () => scrapeSearchSuggestions(rest.join(':'));
+        case 'category': {
+            const page = parseInt(rest.pop()) || 1;
+            return () => scrapeCategory(rest.join(':'), page);
+        }
+        case 'categories':
+            return () => scrapeCategories();
+        case 'cast':
+        case 'tag':
+        case 'year':
+        case 'network': {
+            const page = parseInt(rest.pop()) || 1;
+            return () => scrapeArchive(prefix, rest.join(':'), page);
+        }
+        case 'archives':
+            return () => scrapeArchiveIndex();
+        case 'browse': {
+            const [type, genre, language, year] = rest.map(value => value || null);
+            return () => loadBrowse({ type, genre, language, year });
+        }
+        case 'canary':
+            return () => runCanary(rest[0] === 'all' ? [] : rest.join(':').split(','));
+        default:
+            return null;
+    }
+};
+
+/**
+ * Force-refresh a single cached resource.
+ * Keys without a scraper (e.g. embed player URLs) are simply deleted
+ * and will be resolved again on the next request.
+ * @param {string} key - Cache key
+ * @returns {Promise<object>} Refresh result
+ */
+export const refreshResource = async (key) => {
+    const run = resolveResource(key);
+
+    if (!run) {
+        const deleted = await deleteCache(key);
+        return { key, refreshed: false, deleted: deleted > 0 };
+    }
+
+    const data = await refreshCache(key, run);
+    return { key, refreshed: true, data };
+};
+
+export default { resolveResource, refreshResource };
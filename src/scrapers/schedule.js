@@ -1,5 +1,8 @@
 import { fetchPage, parseHTML, extractAnimeCard } from '../utils/scraper.js';
-import { getCache, setCache } from '../utils/cache.js';
+import { getLayout, query, extract } from '../utils/layouts.js';
+import { withCache } from '../utils/cache.js';
+import { ApiError, InvalidInputError, ParseError } from '../utils/errors.js';
+import config from '../../config.js';
 
 /**
  * Scrape weekly schedule
@@ -7,59 +10,57 @@ import { getCache, setCache } from '../utils/cache.js';
  */
 export const scrapeSchedule = async () => {
     const cacheKey = 'schedule:weekly';
-    const cached = getCache(cacheKey);
-
-    if (cached) {
-        return cached;
-    }
-
-    try {
-        const html = await fetchPage('/');
-        const $ = parseHTML(html);
-
-        const schedule = {
-            monday: [],
-            tuesday: [],
-            wednesday: [],
-            thursday: [],
-            friday: [],
-            saturday: [],
-            sunday: []
-        };
-
-        // Try to find schedule section
-        const scheduleSection = $('.schedule, #schedule, .weekly-schedule');
-
-        if (scheduleSection.length > 0) {
-            // Extract schedule by day
-            Object.keys(schedule).forEach(day => {
-                const daySection = scheduleSection.find(`[data-day="${day}"], .${day}, #${day}`);
-
-                daySection.find('.item, article, .schedule-item').each((_, el) => {
-                    const anime = extractAnimeCard($(el), $);
-                    const time = $(el).find('.time, .release-time').text().trim() || null;
-
-                    if (anime && anime.id) {
-                        schedule[day].push({
-                            ...anime,
-                            releaseTime: normalizeTime(time)
-                        });
-                    }
+
+    return withCache(cacheKey, config.cacheProfiles.schedule, async () => {
+        try {
+            const html = await fetchPage('/');
+            const $ = parseHTML(html);
+
+            const schedule = {
+                monday: [],
+                tuesday: [],
+                wednesday: [],
+                thursday: [],
+                friday: [],
+                saturday: [],
+                sunday: []
+            };
+
+            // Try to find schedule section
+            const layout = getLayout('schedule');
+            const scheduleSection = query($, null, layout.container);
+
+            if (scheduleSection.length > 0) {
+                // Extract schedule by day
+                Object.keys(schedule).forEach(day => {
+                    const daySection = query($, scheduleSection, layout.day, { day });
+
+                    query($, daySection, layout.items).each((_, el) => {
+                        const anime = extractAnimeCard($(el), $);
+                        const time = extract($, $(el), layout.time);
+
+                        if (anime && anime.id) {
+                            schedule[day].push({
+                                ...anime,
+                                releaseTime: normalizeTime(time)
+                            });
+                        }
+                    });
                 });
-            });
+            }
+
+            const data = {
+                success: true,
+                schedule
+            };
+
+            return data;
+        } catch (error) {
+            console.error('Error scraping schedule:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape schedule: ${error.message}`);
         }
-
-        const data = {
-            success: true,
-            schedule
-        };
-
-        setCache(cacheKey, data, 3600); // Cache for 1 hour
-        return data;
-    } catch (error) {
-        console.error('Error scraping schedule:', error.message);
-        throw new Error(`Failed to scrape schedule: ${error.message}`);
-    }
+    });
 };
 
 /**
@@ -69,32 +70,29 @@ export const scrapeSchedule = async () => {
  */
 export const scrapeDaySchedule = async (day) => {
     const cacheKey = `schedule:${day}`;
-    const cached = getCache(cacheKey);
-
-    if (cached) {
-        return cached;
-    }
 
-    try {
-        const weeklySchedule = await scrapeSchedule();
-        const dayLower = day.toLowerCase();
-
-        if (!weeklySchedule.schedule[dayLower]) {
-            throw new Error(`Invalid day: ${day}`);
+    return withCache(cacheKey, config.cacheProfiles.schedule, async () => {
+        try {
+            const weeklySchedule = await scrapeSchedule();
+            const dayLower = day.toLowerCase();
+
+            if (!weeklySchedule.schedule[dayLower]) {
+                throw new InvalidInputError(`Invalid day: ${day}`);
+            }
+
+            const data = {
+                success: true,
+                day: dayLower,
+                animes: weeklySchedule.schedule[dayLower]
+            };
+
+            return data;
+        } catch (error) {
+            console.error('Error scraping day schedule:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape day schedule: ${error.message}`);
         }
-
-        const data = {
-            success: true,
-            day: dayLower,
-            animes: weeklySchedule.schedule[dayLower]
-        };
-
-        setCache(cacheKey, data, 3600);
-        return data;
-    } catch (error) {
-        console.error('Error scraping day schedule:', error.message);
-        throw new Error(`Failed to scrape day schedule: ${error.message}`);
-    }
+    });
 };
 
 export default { scrapeSchedule, scrapeDaySchedule };
@@ -1,5 +1,10 @@
-import { fetchPage, parseHTML, cleanText, decodeHTMLEntities } from '../utils/scraper.js';
-import { getCache, setCache } from '../utils/cache.js';
+import { fetchPage, parseHTML, cleanText, decodeHTMLEntities, detectLanguages, detectLayoutLanguages, extractAnimeId } from '../utils/scraper.js';
+import { withCache, rememberNotFound, getKnownNotFound } from '../utils/cache.js';
+import { ApiError, NotFoundError, ParseError } from '../utils/errors.js';
+import { resolveUrl } from '../utils/upstream.js';
+import { scrapeAnimeDetails } from './anime.js';
+import { getLayout, query, extract, extractAll } from '../utils/layouts.js';
+import config from '../../config.js';
 
 /**
  * Scrape episode streaming links (serverless optimized - no browser)
@@ -8,20 +13,21 @@ import { getCache, setCache } from '../utils/cache.js';
  */
 export const scrapeEpisodeStreaming = async (episodeId) => {
     const cacheKey = `episode:${episodeId}`;
-    const cached = getCache(cacheKey);
 
-    if (cached) {
-        return cached;
+    const knownNotFound = await getKnownNotFound(`episode:${episodeId}`);
+    if (knownNotFound) {
+        throw new NotFoundError(knownNotFound.message || `Episode not found: ${episodeId}`);
     }
 
-    try {
-        const data = await scrapeWithFetch(episodeId);
-        setCache(cacheKey, data, 1800); // Cache for 30 minutes
-        return data;
-    } catch (error) {
-        console.error('Error scraping episode streaming:', error.message);
-        throw new Error(`Failed to scrape episode streaming: ${error.message}`);
-    }
+    return withCache(cacheKey, config.cacheProfiles.episode, async () => {
+        try {
+            return await scrapeWithFetch(episodeId);
+        } catch (error) {
+            console.error('Error scraping episode streaming:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape episode streaming: ${error.message}`);
+        }
+    });
 };
 
 /**
@@ -29,64 +35,38 @@ export const scrapeEpisodeStreaming = async (episodeId) => {
  */
 async function scrapeWithFetch(episodeId) {
     // Try multiple URL patterns to handle both series and movies
+    // Optimization: If ID looks like an episode (e.g. 1x1), try /episode/ first
+    const paths = episodeId.match(/-\d+x\d+$/)
+        ? ['episode', 'series', 'movies']
+        : ['series', 'movies', 'episode'];
     let html;
-    let url;
-    let lastError;
+    let foundPath;
 
-    // First try as a series episode
-    try {
-        // Optimization: If ID looks like an episode (e.g. 1x1), try /episode/ first
-        if (episodeId.match(/-\d+x\d+$/)) {
-            url = `/episode/${episodeId}/`;
-            html = await fetchPage(url);
-        } else {
-            // Otherwise try series first
-            url = `/series/${episodeId}/`;
-            html = await fetchPage(url);
-        }
-    } catch (error) {
-        lastError = error;
-        // If first attempt fails, try alternatives
-        if (error.message.includes('404')) {
-            try {
-                // If we started with episode, try series/movies now
-                if (episodeId.match(/-\d+x\d+$/)) {
-                    try {
-                        url = `/series/${episodeId}/`;
-                        html = await fetchPage(url);
-                    } catch (seriesError) {
-                        url = `/movies/${episodeId}/`;
-                        html = await fetchPage(url);
-                    }
-                } else {
-                    // If we started with series, try movies then episode
-                    try {
-                        url = `/movies/${episodeId}/`;
-                        html = await fetchPage(url);
-                    } catch (movieError) {
-                        url = `/episode/${episodeId}/`;
-                        html = await fetchPage(url);
-                    }
-                }
-                lastError = null; // Success!
-            } catch (retryError) {
-                lastError = retryError;
+    for (const path of paths) {
+        try {
+            html = await fetchPage(`/${path}/${episodeId}/`);
+            foundPath = path;
+            break;
+        } catch (error) {
+            // Only a 404 means "try the next pattern"
+            if (!(error instanceof NotFoundError)) {
+                throw error;
             }
-        } else {
-            // If it's not a 404, throw the original error
-            throw error;
         }
     }
 
-    // If html is still not set and lastError exists, it means all attempts failed
-    if (!html && lastError) {
-        throw lastError;
+    // Every pattern returned 404: remember it so retries fail fast
+    if (!html) {
+        const message = `Episode not found: ${episodeId} (tried: ${paths.join(', ')})`;
+        await rememberNotFound(`episode:${episodeId}`, message);
+        throw new NotFoundError(message);
     }
 
     const $ = parseHTML(html);
+    const layout = getLayout('episode');
 
     // Extract episode info
-    const title = $('h1, .entry-title, .title').first().text().trim();
+    const title = extract($, null, layout.title) || '';
 
     // Try to parse from title first
     let episodeMatch = title.match(/(\d+)x(\d+)/);
@@ -102,80 +82,80 @@ async function scrapeWithFetch(episodeId) {
         }
     }
 
+    // Languages per player panel, from the server tab that opens it
+    const panelLanguages = {};
+    query($, null, layout.sourcePanels).each((_, el) => {
+        const $panel = $(el);
+        const panelId = $panel.attr('id');
+        const src = extract($, $panel, layout.iframes);
+        if (!src) return;
+        const label = panelId ? query($, null, layout.sourceLabel, { id: panelId }).first().text() : '';
+        panelLanguages[decodeHTMLEntities(src)] = detectLanguages(label);
+    });
+
     // Extract streaming sources
     const sources = [];
-    $('iframe, [class*="player"] iframe').each((_, el) => {
-        const src = $(el).attr('data-src') || $(el).attr('src') || $(el).attr('data-lazy-src');
-        if (src) {
-            let fullSrc = src.startsWith('http') ? src : (src.startsWith('//') ? `https:${src}` : `https://toonstream.one${src}`);
-            // Decode HTML entities
-            fullSrc = decodeHTMLEntities(fullSrc);
-            sources.push({
-                type: 'iframe',
-                url: fullSrc,
-                quality: 'default'
-            });
-        }
+    extractAll($, null, layout.iframes).forEach(src => {
+        const url = decodeHTMLEntities(src);
+        sources.push({
+            type: 'iframe',
+            url,
+            quality: 'default',
+            languages: panelLanguages[url] || []
+        });
     });
 
     // Look for video sources
-    $('video source, source, video').each((_, el) => {
+    query($, null, layout.videos).each((_, el) => {
         const src = $(el).attr('src') || $(el).attr('data-src');
         const type = $(el).attr('type') || 'video/mp4';
         const quality = $(el).attr('label') || $(el).attr('data-quality') || 'default';
 
         if (src) {
-            const fullSrc = src.startsWith('http') ? src : `https://toonstream.one${src}`;
+            const fullSrc = resolveUrl(src);
             sources.push({
                 type: 'video',
                 url: fullSrc,
                 quality,
-                mimeType: type
+                mimeType: type,
+                languages: detectLanguages($(el).attr('label') || $(el).attr('srclang'))
             });
         }
     });
 
     // Look for download links
     const downloads = [];
-    $('a[href*="download"], .download-link a, a[download], [class*="download"] a').each((_, el) => {
+    query($, null, layout.downloads).each((_, el) => {
         const href = $(el).attr('href');
         const text = $(el).text().trim();
         const quality = text.match(/\d+p/)?.[0] || 'default';
-        const language = text.match(/Hindi|Tamil|Telugu|English/i)?.[0] || 'Unknown';
+        const language = detectLanguages(text)[0] || 'Unknown';
 
         if (href && href.length > 10) {
             downloads.push({
-                url: href.startsWith('http') ? href : `https://toonstream.one${href}`,
+                url: resolveUrl(href),
                 quality,
                 language
             });
         }
     });
 
-    // Extract available languages/audio tracks
-    const languages = [];
-    $('.language-selector option, .audio-track, [class*="language"]').each((_, el) => {
-        const lang = $(el).text().trim() || $(el).attr('value');
-        if (lang && lang.length < 20 && !languages.includes(lang)) {
-            languages.push(lang);
-        }
-    });
-
-    // If no languages found, try to extract from page text
+    // Extract available languages/audio tracks from the language badges,
+    // falling back to the languages of the sources
+    const languages = detectLayoutLanguages($, layout, 'languages');
     if (languages.length === 0) {
-        const pageText = $('body').text();
-        const langMatches = pageText.match(/Hindi|Tamil|Telugu|English|Japanese|Urdu/gi) || [];
-        langMatches.forEach(lang => {
-            const normalized = lang.charAt(0).toUpperCase() + lang.slice(1).toLowerCase();
-            if (!languages.includes(normalized)) {
-                languages.push(normalized);
-            }
+        sources.forEach(source => {
+            source.languages.forEach(lang => {
+                if (!languages.includes(lang)) {
+                    languages.push(lang);
+                }
+            });
         });
     }
 
     // Extract servers/players
     const servers = [];
-    $('.server-list button, .player-option, [data-server], [class*="server"]').each((_, el) => {
+    query($, null, layout.servers).each((_, el) => {
         let serverName = $(el).text().trim() || $(el).attr('data-server') || $(el).attr('data-name');
 
         // Clean server name
@@ -188,17 +168,30 @@ async function scrapeWithFetch(episodeId) {
         if (serverName && serverName.length < 50) {
             servers.push({
                 name: serverName,
-                id: serverId ? serverId.toLowerCase().replace(/\s+/g, '-') : serverName.toLowerCase()
+                id: serverId ? serverId.toLowerCase().replace(/\s+/g, '-') : serverName.toLowerCase(),
+                languages: detectLanguages($(el).text())
             });
         }
     });
 
+    // Neighbouring episodes (episode pages only, movies have none)
+    let navigation = { seriesId: null, previousEpisodeId: null, nextEpisodeId: null, position: null };
+    if (foundPath === 'episode') {
+        try {
+            navigation = await extractNavigation($, layout, episodeId);
+        } catch (error) {
+            // Navigation is extra information; it never fails the episode response
+            console.warn(`Episode navigation failed for ${episodeId}:`, error.message);
+        }
+    }
+
     return {
         success: true,
         episodeId,
         title,
         season,
         episode,
+        ...navigation,
         sources,
         downloads,
         languages,
@@ -206,6 +199,74 @@ async function scrapeWithFetch(episodeId) {
     };
 }
 
+/**
+ * Get the episode ID from an episode URL
+ */
+const toEpisodeId = (url) => url?.match(/\/episode\/([^\/?#]+)/)?.[1] || null;
+
+/**
+ * Find the parent series and neighbouring episodes
+ * The page's nav links are used first. Only when one of them is missing
+ * (first/last episode, or a page without links) is the series episode list
+ * (cached details, which loads every season) read to fill the gap across
+ * season boundaries and give the position within the season; otherwise
+ * position is null. A failing series lookup leaves those fields null.
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {object} layout - Episode layout
+ * @param {string} episodeId - Episode ID
+ * @returns {Promise<object>} { seriesId, previousEpisodeId, nextEpisodeId, position }
+ */
+async function extractNavigation($, layout, episodeId) {
+    // Linked series, or guessed from the episode slug ("naruto-1x2" -> "naruto")
+    const linkedId = extractAnimeId(extract($, null, layout.seriesLink))?.id || null;
+    const seriesId = linkedId || episodeId.match(/^(.+)-\d+x\d+$/)?.[1] || null;
+
+    const navigation = {
+        seriesId,
+        previousEpisodeId: toEpisodeId(extract($, null, layout.navPrev)),
+        nextEpisodeId: toEpisodeId(extract($, null, layout.navNext)),
+        position: null
+    };
+
+    if (!seriesId) return navigation;
+
+    // Both links on the page: no need for the series episode list (position
+    // is only reported when read from that list)
+    if (navigation.previousEpisodeId && navigation.nextEpisodeId) {
+        return navigation;
+    }
+
+    try {
+        const details = await scrapeAnimeDetails(seriesId);
+        const ordered = Object.keys(details.seasons || {})
+            .map(Number)
+            .sort((a, b) => a - b)
+            .flatMap(number => details.seasons[number]);
+
+        const index = ordered.findIndex(ep => ep.id === episodeId);
+        if (index === -1) return navigation;
+
+        const current = ordered[index];
+        const seasonEpisodes = details.seasons[current.season] || [];
+
+        navigation.previousEpisodeId = navigation.previousEpisodeId || ordered[index - 1]?.id || null;
+        navigation.nextEpisodeId = navigation.nextEpisodeId || ordered[index + 1]?.id || null;
+        navigation.position = {
+            season: current.season,
+            index: seasonEpisodes.findIndex(ep => ep.id === episodeId) + 1,
+            total: seasonEpisodes.length
+        };
+    } catch (error) {
+        console.warn(`Episode navigation unavailable for ${episodeId} (series ${seriesId}):`, error.message);
+        // A guessed series that does not exist is not reported
+        if (error instanceof NotFoundError && !linkedId) {
+            navigation.seriesId = null;
+        }
+    }
+
+    return navigation;
+}
+
 /**
  * Get streaming link from specific server
  * @param {string} episodeId - Episode ID
@@ -214,30 +275,27 @@ async function scrapeWithFetch(episodeId) {
  */
 export const scrapeServerLink = async (episodeId, serverId) => {
     const cacheKey = `server:${episodeId}:${serverId}`;
-    const cached = getCache(cacheKey);
 
-    if (cached) {
-        return cached;
-    }
+    return withCache(cacheKey, config.cacheProfiles.server, async () => {
+        try {
+            const episodeData = await scrapeEpisodeStreaming(episodeId);
+            const serverData = episodeData.servers.find(s => s.id === serverId);
 
-    try {
-        const episodeData = await scrapeEpisodeStreaming(episodeId);
-        const serverData = episodeData.servers.find(s => s.id === serverId);
-
-        const data = {
-            success: true,
-            episodeId,
-            serverId,
-            server: serverData,
-            sources: episodeData.sources
-        };
+            const data = {
+                success: true,
+                episodeId,
+                serverId,
+                server: serverData,
+                sources: episodeData.sources
+            };
 
-        setCache(cacheKey, data, 1800);
-        return data;
-    } catch (error) {
-        console.error('Error scraping server link:', error.message);
-        throw new Error(`Failed to scrape server link: ${error.message}`);
-    }
+            return data;
+        } catch (error) {
+            console.error('Error scraping server link:', error.message);
+            if (error instanceof ApiError) throw error;
+            throw new ParseError(`Failed to scrape server link: ${error.message}`);
+        }
+    });
 };
 
 export default { scrapeEpisodeStreaming, scrapeServerLink };
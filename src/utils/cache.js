@@ -1,62 +1,80 @@
 import config from '../../config.js';
+import { SimpleCache, KVCache, CacheApiCache } from './cacheBackends.js';
+import { waitUntil, getContext } from './context.js';
+import { UpstreamUnavailableError } from './errors.js';
 
-// Simple in-memory cache for Workers
-// Replaces node-cache which uses global timers (forbidden in Workers)
-class SimpleCache {
-    constructor(options = {}) {
-        this.cache = new Map();
-        this.stdTTL = options.stdTTL || 0;
-    }
+// In-memory cache is always available and used until a binding is configured
+const memoryCache = new SimpleCache({
+    stdTTL: config.cacheTTL,
+    ...config.cache.memory
+});
 
-    get(key) {
-        const item = this.cache.get(key);
-        if (!item) return undefined;
-        if (item.expiry && item.expiry < Date.now()) {
-            this.cache.delete(key);
-            return undefined;
-        }
-        return item.value;
-    }
+let cache = memoryCache;
+let configured = false;
 
-    set(key, value, ttl) {
-        const timeToLive = ttl || this.stdTTL;
-        const expiry = timeToLive > 0 ? Date.now() + (timeToLive * 1000) : null;
-        this.cache.set(key, { value, expiry });
-        return true;
-    }
+// Hit/miss counters per key prefix (e.g. "content", "episode", "search")
+const stats = new Map();
 
-    del(key) {
-        return this.cache.delete(key) ? 1 : 0;
-    }
+/**
+ * Get the stats prefix of a cache key ("content:naruto:auto" -> "content")
+ */
+const keyPrefix = (key) => key.split(':')[0];
 
-    flushAll() {
-        this.cache.clear();
+/**
+ * Increment a stats counter for a key's prefix
+ */
+const record = (key, counter) => {
+    const prefix = keyPrefix(key);
+    if (!stats.has(prefix)) {
+        stats.set(prefix, { hits: 0, misses: 0, stale: 0 });
     }
+    stats.get(prefix)[counter]++;
+};
 
-    getStats() {
-        return {
-            keys: this.cache.size,
-            hits: 0,
-            misses: 0,
-            ksize: 0,
-            vsize: 0
-        };
+/**
+ * Select the cache backend from configuration and Worker bindings.
+ * Bindings are fixed for the lifetime of an isolate, so this only
+ * does work on the first call.
+ * @param {object} env - Worker environment bindings (optional)
+ * @returns {object} Active cache backend
+ */
+export const configureCache = (env = {}) => {
+    if (configured) return cache;
+    configured = true;
+
+    const backend = (env?.CACHE_BACKEND || config.cache.backend || 'memory').toLowerCase();
+
+    if (backend === 'kv') {
+        const namespace = env?.[config.cache.kvBinding];
+        if (namespace) {
+            cache = new KVCache(namespace, { stdTTL: config.cacheTTL });
+        } else {
+            console.warn(`KV binding "${config.cache.kvBinding}" not found, falling back to in-memory cache`);
+        }
+    } else if (backend === 'cache-api') {
+        if (typeof caches !== 'undefined') {
+            cache = new CacheApiCache(config.cache.cacheApiName, { stdTTL: config.cacheTTL });
+        } else {
+            console.warn('Cache API not available, falling back to in-memory cache');
+        }
+    } else if (backend !== 'memory') {
+        console.warn(`Unknown cache backend "${backend}", falling back to in-memory cache`);
     }
-}
 
-// Initialize cache with TTL from config
-const cache = new SimpleCache({
-    stdTTL: config.cacheTTL
-});
+    console.log(`🗄️  Cache backend: ${cache.name}`);
+    return cache;
+};
 
 /**
  * Get value from cache
  * @param {string} key - Cache key
- * @returns {any} Cached value or undefined
+ * @returns {Promise<any>} Cached value or undefined
  */
-export const getCache = (key) => {
+export const getCache = async (key) => {
     try {
-        return cache.get(key);
+        const value = await cache.get(key);
+        record(key, value === undefined ? 'misses' : 'hits');
+        return value;
     } catch (error) {
         console.error(`Cache get error for key ${key}:`, error.message);
         return undefined;
@@ -68,11 +86,11 @@ export const getCache = (key) => {
  * @param {string} key - Cache key
  * @param {any} value - Value to cache
  * @param {number} ttl - Time to live in seconds (optional)
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-export const setCache = (key, value, ttl) => {
+export const setCache = async (key, value, ttl) => {
     try {
-        return cache.set(key, value, ttl);
+        return await cache.set(key, value, ttl);
     } catch (error) {
         console.error(`Cache set error for key ${key}:`, error.message);
         return false;
@@ -82,11 +100,11 @@ export const setCache = (key, value, ttl) => {
 /**
  * Delete value from cache
  * @param {string} key - Cache key
- * @returns {number} Number of deleted entries
+ * @returns {Promise<number>} Number of deleted entries
  */
-export const deleteCache = (key) => {
+export const deleteCache = async (key) => {
     try {
-        return cache.del(key);
+        return await cache.delete(key);
     } catch (error) {
         console.error(`Cache delete error for key ${key}:`, error.message);
         return 0;
@@ -96,20 +114,317 @@ export const deleteCache = (key) => {
 /**
  * Clear all cache
  */
-export const clearCache = () => {
+export const clearCache = async () => {
     try {
-        cache.flushAll();
+        await cache.clear();
     } catch (error) {
         console.error('Cache clear error:', error.message);
     }
 };
 
+/**
+ * List cache keys by prefix
+ * @param {string} prefix - Key prefix (e.g. "search:")
+ * @param {number} limit - Maximum number of keys
+ * @returns {Promise<string[]>} Matching keys
+ */
+export const listCacheKeys = async (prefix = '', limit = 1000) => {
+    return cache.keys(prefix, limit);
+};
+
+/**
+ * Delete all cache entries with a prefix
+ * @param {string} prefix - Key prefix (e.g. "search:")
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export const purgeCache = async (prefix) => {
+    const keys = await listCacheKeys(prefix, Infinity);
+    let deleted = 0;
+    for (const key of keys) {
+        deleted += await deleteCache(key);
+    }
+    return deleted;
+};
+
+/**
+ * Describe a cache entry's age and remaining lifetime
+ * @param {string} key - Cache key
+ * @returns {Promise<object>} Entry info ({ exists: false } when missing)
+ */
+export const inspectCache = async (key) => {
+    const entry = await cache.get(key);
+    if (entry === undefined) {
+        return { key, exists: false };
+    }
+
+    // Plain values (not stored through withCache) carry no timestamps
+    if (!entry || !entry.freshUntil) {
+        return { key, exists: true, age: null, ttl: null, stale: null, value: entry };
+    }
+
+    const now = Date.now();
+    return {
+        key,
+        exists: true,
+        storedAt: new Date(entry.storedAt).toISOString(),
+        age: Math.round((now - entry.storedAt) / 1000),
+        ttl: Math.max(0, Math.round((entry.freshUntil - now) / 1000)),
+        hardTTL: Math.max(0, Math.round((entry.staleUntil - now) / 1000)),
+        stale: now >= entry.freshUntil,
+        value: entry.value
+    };
+};
+
+// Loads currently in flight, keyed by cache key (single-flight)
+const inflight = new Map();
+
+// Keys whose cached value must be ignored and reloaded (see refreshCache)
+const refreshing = new Set();
+
+/**
+ * Run a loader once per key, sharing the pending promise with
+ * concurrent callers for the same key
+ * @param {string} key - Cache key
+ * @param {Function} loader - Async function producing the value
+ * @returns {Promise<any>} Loaded value
+ */
+const coalesce = (key, loader) => {
+    if (inflight.has(key)) {
+        return inflight.get(key);
+    }
+
+    const promise = (async () => {
+        try {
+            return await loader();
+        } finally {
+            inflight.delete(key);
+        }
+    })();
+
+    inflight.set(key, promise);
+    return promise;
+};
+
+/**
+ * Remember when the newest value served in this request was scraped
+ * (used for the Last-Modified response header), and whether a partial
+ * value was served (the response is then not cached downstream)
+ */
+const markServed = (entry) => {
+    const context = getContext();
+    if (!context) return;
+    if (entry.storedAt > (context.lastModified || 0)) {
+        context.lastModified = entry.storedAt;
+    }
+    if (entry.value?.partial === true) {
+        context.partial = true;
+    }
+};
+
+/**
+ * Load a value and store it wrapped with its freshness window
+ * Values marked partial: true (some of their parts failed to load) are
+ * stored under the short partial profile, so the failed parts are retried
+ * soon instead of being served for the full TTL.
+ * @returns {Promise<object>} Stored entry
+ */
+const loadAndStore = (key, profileTTL, profileHardTTL, loader) => {
+    return coalesce(key, async () => {
+        const value = await loader();
+        const partial = value?.partial === true;
+        const ttl = partial ? Math.min(profileTTL, config.cacheProfiles.partial.ttl) : profileTTL;
+        const hardTTL = partial ? Math.min(profileHardTTL, config.cacheProfiles.partial.hardTTL) : profileHardTTL;
+        const storedAt = Date.now();
+        const entry = {
+            value,
+            storedAt,
+            freshUntil: storedAt + (ttl * 1000),
+            staleUntil: storedAt + (hardTTL * 1000)
+        };
+        // Kept past the hard TTL as a last known good copy (see serveLastGood)
+        await setCache(key, entry, hardTTL + config.circuitBreaker.lastGoodTTL);
+        return entry;
+    });
+};
+
+/**
+ * Load, store and return a fresh value for the current request
+ */
+const load = async (key, ttl, hardTTL, loader) => {
+    const entry = await loadAndStore(key, ttl, hardTTL, loader);
+    markServed(entry);
+    return entry.value;
+};
+
+/**
+ * Serve an expired entry while the upstream site is unavailable.
+ * Object values are marked with stale: true, and the request context is
+ * flagged so the response is not cached downstream.
+ */
+const serveLastGood = (key, entry) => {
+    record(key, 'stale');
+    markServed(entry);
+
+    const context = getContext();
+    if (context) {
+        context.stale = true;
+    }
+
+    const value = entry.value;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return { ...value, stale: true };
+    }
+    return value;
+};
+
+/**
+ * Get a value from cache or load it.
+ * - Fresh entries (younger than ttl) are returned directly.
+ * - Stale entries (younger than hardTTL) are returned immediately while
+ *   a single background refresh runs.
+ * - Missing entries are loaded once, concurrent callers share the result.
+ * - Expired entries are reloaded, but if the upstream circuit is open the
+ *   last known good value is served instead, marked stale.
+ * - With bypassCache set in the request context, the loader runs uncached.
+ * @param {string} key - Cache key
+ * @param {object} options - { ttl: soft TTL in seconds, hardTTL: hard TTL in seconds }
+ * @param {Function} loader - Async function producing the value
+ * @returns {Promise<any>} Cached or freshly loaded value
+ */
+export const withCache = async (key, options, loader) => {
+    const ttl = options?.ttl || config.cacheTTL;
+    const hardTTL = Math.max(ttl, options?.hardTTL || ttl * config.cache.hardTTLMultiplier);
+
+    // Callers that need live data (e.g. the canary) neither read nor write the cache
+    if (getContext()?.bypassCache) {
+        return loader();
+    }
+
+    if (refreshing.has(key)) {
+        return load(key, ttl, hardTTL, loader);
+    }
+
+    const entry = await getCache(key);
+    const now = Date.now();
+
+    if (entry && entry.freshUntil) {
+        if (now < entry.freshUntil) {
+            markServed(entry);
+            return entry.value;
+        }
+
+        if (now < entry.staleUntil) {
+            record(key, 'stale');
+            if (!inflight.has(key)) {
+                const refresh = loadAndStore(key, ttl, hardTTL, loader).catch((error) => {
+                    console.error(`Background refresh failed for key ${key}:`, error.message);
+                });
+                waitUntil(refresh);
+            }
+            markServed(entry);
+            return entry.value;
+        }
+
+        try {
+            return await load(key, ttl, hardTTL, loader);
+        } catch (error) {
+            if (error instanceof UpstreamUnavailableError) {
+                console.warn(`Upstream unavailable, serving last known good value for key ${key}`);
+                return serveLastGood(key, entry);
+            }
+            throw error;
+        }
+    }
+
+    return load(key, ttl, hardTTL, loader);
+};
+
+/**
+ * Remember that a resource does not exist upstream, so retries can fail fast
+ * The original error message is kept, so repeated requests for the same
+ * missing resource get the same response.
+ * @param {string} key - Resource key (e.g. "content:naruto")
+ * @param {string} message - Message of the NotFoundError to repeat (optional)
+ * @param {number} ttl - Time to live in seconds (defaults to the notFound profile)
+ * @returns {Promise<boolean>} Success status
+ */
+export const rememberNotFound = (key, message = null, ttl = config.cacheProfiles.notFound.ttl) => {
+    return setCache(`notfound:${key}`, { notFound: true, message, storedAt: Date.now() }, ttl);
+};
+
+/**
+ * Get the negative cache entry of a resource recently confirmed missing upstream
+ * @param {string} key - Resource key (e.g. "content:naruto")
+ * @returns {Promise<object|null>} { message, storedAt }, or null if not known missing
+ */
+export const getKnownNotFound = async (key) => {
+    return (await getCache(`notfound:${key}`)) || null;
+};
+
+/**
+ * Force a reload of a cached resource, bypassing any fresh entry.
+ * Other requests keep being served the current entry until the reload finishes.
+ * @param {string} key - Cache key the loader stores under
+ * @param {Function} run - Async function that calls the scraper owning the key
+ * @returns {Promise<any>} Result of run
+ */
+export const refreshCache = async (key, run) => {
+    refreshing.add(key);
+    try {
+        return await run();
+    } finally {
+        refreshing.delete(key);
+    }
+};
+
 /**
  * Get cache statistics
+ * Sizes are only known for the in-memory backend.
  * @returns {object} Cache stats
  */
 export const getCacheStats = () => {
-    return cache.getStats();
+    const prefixes = {};
+    let hits = 0;
+    let misses = 0;
+
+    for (const [prefix, counters] of stats) {
+        const lookups = counters.hits + counters.misses;
+        prefixes[prefix] = {
+            ...counters,
+            hitRate: lookups > 0 ? Number((counters.hits / lookups).toFixed(3)) : null
+        };
+        hits += counters.hits;
+        misses += counters.misses;
+    }
+
+    const isMemory = cache === memoryCache;
+    return {
+        backend: cache.name,
+        keys: isMemory ? memoryCache.cache.size : null,
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(3)) : null,
+        ksize: isMemory ? memoryCache.ksize : null,
+        vsize: isMemory ? memoryCache.vsize : null,
+        maxEntries: isMemory ? memoryCache.maxEntries : null,
+        maxBytes: isMemory ? memoryCache.maxBytes : null,
+        evictions: isMemory ? memoryCache.evictions : null,
+        prefixes
+    };
 };
 
-export default cache;
+export default {
+    getCache,
+    setCache,
+    deleteCache,
+    clearCache,
+    withCache,
+    refreshCache,
+    rememberNotFound,
+    getKnownNotFound,
+    listCacheKeys,
+    purgeCache,
+    inspectCache,
+    getCacheStats,
+    configureCache
+};
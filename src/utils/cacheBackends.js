@@ -0,0 +1,246 @@
+// Cache backend adapters
+// Every backend exposes the same async interface so the cache layer
+// can swap storage without the scrapers noticing:
+//   get(key) -> value | undefined
+//   set(key, value, ttl) -> boolean
+//   delete(key) -> number of deleted entries
+//   clear() -> void
+//   keys(prefix, limit) -> array of keys (throws if the backend cannot list)
+
+/**
+ * Simple in-memory cache for Workers
+ * Replaces node-cache which uses global timers (forbidden in Workers).
+ * Entries only live as long as the isolate, so this is mainly useful
+ * for local development or as a fallback when no binding is configured.
+ *
+ * The cache is bounded by entry count and approximate byte size, evicting
+ * the least recently used entries first (Map keeps insertion order, so
+ * re-inserting on access moves an entry to the end). Expired entries are
+ * swept lazily during reads/writes instead of with timers.
+ */
+export class SimpleCache {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.cache = new Map();
+        this.stdTTL = options.stdTTL || 0;
+        this.maxEntries = options.maxEntries || Infinity;
+        this.maxBytes = options.maxBytes || Infinity;
+        this.sweepInterval = (options.sweepInterval || 60) * 1000;
+        this.lastSweep = Date.now();
+        this.ksize = 0;
+        this.vsize = 0;
+        this.evictions = 0;
+    }
+
+    async get(key) {
+        this.sweep();
+
+        const item = this.cache.get(key);
+        if (!item) return undefined;
+        if (item.expiry && item.expiry < Date.now()) {
+            this.remove(key);
+            return undefined;
+        }
+
+        // Mark as most recently used
+        this.cache.delete(key);
+        this.cache.set(key, item);
+        return item.value;
+    }
+
+    async set(key, value, ttl) {
+        this.sweep();
+
+        const timeToLive = ttl || this.stdTTL;
+        const expiry = timeToLive > 0 ? Date.now() + (timeToLive * 1000) : null;
+        const size = estimateSize(value);
+
+        this.remove(key);
+        if (size + key.length * 2 > this.maxBytes) {
+            console.warn(`Cache entry ${key} (${size} bytes) exceeds the memory budget, not cached`);
+            return false;
+        }
+
+        this.cache.set(key, { value, expiry, size });
+        this.ksize += key.length * 2;
+        this.vsize += size;
+        this.evict();
+        return true;
+    }
+
+    async delete(key) {
+        return this.remove(key) ? 1 : 0;
+    }
+
+    async clear() {
+        this.cache.clear();
+        this.ksize = 0;
+        this.vsize = 0;
+    }
+
+    async keys(prefix = '', limit = Infinity) {
+        const keys = [];
+        const now = Date.now();
+        for (const [key, item] of this.cache) {
+            if (keys.length >= limit) break;
+            if (!key.startsWith(prefix)) continue;
+            if (item.expiry && item.expiry < now) continue;
+            keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * Remove an entry and update the size counters
+     * @returns {boolean} Whether an entry was removed
+     */
+    remove(key) {
+        const item = this.cache.get(key);
+        if (!item) return false;
+        this.cache.delete(key);
+        this.ksize -= key.length * 2;
+        this.vsize -= item.size;
+        return true;
+    }
+
+    /**
+     * Evict least recently used entries until the cache is within its bounds
+     */
+    evict() {
+        for (const key of this.cache.keys()) {
+            if (this.cache.size <= this.maxEntries && this.ksize + this.vsize <= this.maxBytes) break;
+            this.remove(key);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * Drop expired entries, at most once per sweep interval
+     */
+    sweep() {
+        const now = Date.now();
+        if (now - this.lastSweep < this.sweepInterval) return;
+        this.lastSweep = now;
+
+        for (const [key, item] of this.cache) {
+            if (item.expiry && item.expiry < now) {
+                this.remove(key);
+            }
+        }
+    }
+}
+
+/**
+ * Approximate the in-memory size of a value in bytes (UTF-16 JSON length)
+ * @param {any} value - Value to measure
+ * @returns {number} Approximate size in bytes
+ */
+export const estimateSize = (value) => {
+    try {
+        return (JSON.stringify(value)?.length || 0) * 2;
+    } catch {
+        return 0;
+    }
+};
+
+/**
+ * Workers KV backend
+ * Values are stored as JSON. KV rejects expirations shorter than 60 seconds,
+ * so shorter TTLs are rounded up.
+ */
+export class KVCache {
+    constructor(namespace, options = {}) {
+        this.name = 'kv';
+        this.namespace = namespace;
+        this.stdTTL = options.stdTTL || 0;
+    }
+
+    async get(key) {
+        const value = await this.namespace.get(key, 'json');
+        return value === null ? undefined : value;
+    }
+
+    async set(key, value, ttl) {
+        const timeToLive = ttl || this.stdTTL;
+        const options = timeToLive > 0 ? { expirationTtl: Math.max(60, Math.ceil(timeToLive)) } : {};
+        await this.namespace.put(key, JSON.stringify(value), options);
+        return true;
+    }
+
+    async delete(key) {
+        await this.namespace.delete(key);
+        return 1;
+    }
+
+    async clear() {
+        console.warn('KV cache does not support clearing all keys');
+    }
+
+    async keys(prefix = '', limit = Infinity) {
+        const keys = [];
+        let cursor;
+        do {
+            const page = await this.namespace.list({ prefix, cursor, limit: Math.min(1000, limit - keys.length) });
+            keys.push(...page.keys.map(k => k.name));
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor && keys.length < limit);
+        return keys;
+    }
+}
+
+/**
+ * Workers Cache API backend
+ * Entries are stored as synthetic JSON responses in the data center's cache.
+ * The Cache API cannot enumerate keys, so clear() is a no-op.
+ */
+export class CacheApiCache {
+    constructor(cacheName, options = {}) {
+        this.name = 'cache-api';
+        this.cacheName = cacheName;
+        this.stdTTL = options.stdTTL || 0;
+        this.cachePromise = null;
+    }
+
+    open() {
+        if (!this.cachePromise) {
+            this.cachePromise = caches.open(this.cacheName);
+        }
+        return this.cachePromise;
+    }
+
+    toRequest(key) {
+        return new Request(`https://${this.cacheName}.cache/${encodeURIComponent(key)}`);
+    }
+
+    async get(key) {
+        const store = await this.open();
+        const response = await store.match(this.toRequest(key));
+        if (!response) return undefined;
+        return response.json();
+    }
+
+    async set(key, value, ttl) {
+        const timeToLive = ttl || this.stdTTL;
+        const store = await this.open();
+        await store.put(this.toRequest(key), new Response(JSON.stringify(value), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': `max-age=${Math.ceil(timeToLive)}`
+            }
+        }));
+        return true;
+    }
+
+    async delete(key) {
+        const store = await this.open();
+        return (await store.delete(this.toRequest(key))) ? 1 : 0;
+    }
+
+    async clear() {
+        console.warn('Cache API backend does not support clearing all keys');
+    }
+
+    async keys() {
+        throw new Error('Cache API backend cannot list keys');
+    }
+}
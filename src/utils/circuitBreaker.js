@@ -0,0 +1,135 @@
+import config from '../../config.js';
+import { UpstreamUnavailableError } from './errors.js';
+
+// Circuit breaker per upstream host
+// closed: requests go through, consecutive failures are counted.
+// open: requests fail fast with UpstreamUnavailableError until the cooldown ends.
+// half-open: a single probe request is let through per cooldown; success
+// closes the circuit, failure re-opens it with a doubled cooldown (up to maxCooldown).
+
+const circuits = new Map(); // host -> circuit state
+
+/**
+ * Get (or create) the circuit for a host
+ * @param {string} host - Hostname
+ * @returns {object} Circuit state
+ */
+const getCircuit = (host) => {
+    if (!circuits.has(host)) {
+        circuits.set(host, {
+            state: 'closed',
+            failures: 0,
+            cooldown: config.circuitBreaker.cooldown,
+            openedAt: null,
+            retryAt: null,
+            lastError: null,
+            // Metrics
+            opened: 0,
+            rejected: 0
+        });
+    }
+    return circuits.get(host);
+};
+
+/**
+ * Open (or re-open) a circuit for its current cooldown
+ * @param {string} host - Hostname
+ * @param {object} circuit - Circuit state
+ */
+const open = (host, circuit) => {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.retryAt = circuit.openedAt + circuit.cooldown;
+    circuit.opened++;
+    console.warn(`[Circuit] ${host} open for ${circuit.cooldown}ms after ${circuit.failures} failures: ${circuit.lastError}`);
+};
+
+/**
+ * Let a request through or fail fast if the host's circuit is open.
+ * Once the cooldown has passed, one request is allowed through as a probe.
+ * @param {string} host - Hostname
+ * @throws {UpstreamUnavailableError} When the circuit is open
+ */
+export const checkCircuit = (host) => {
+    const circuit = getCircuit(host);
+    if (circuit.state === 'closed') return;
+
+    const now = Date.now();
+    if (now >= circuit.retryAt) {
+        // Cooldown over (or the previous probe never reported back): send a probe
+        circuit.state = 'half-open';
+        circuit.retryAt = now + circuit.cooldown;
+        console.log(`[Circuit] ${host} half-open, probing`);
+        return;
+    }
+
+    circuit.rejected++;
+    const retryAfter = Math.max(1, Math.ceil((circuit.retryAt - now) / 1000));
+    throw new UpstreamUnavailableError(`${host} is unavailable, retry in ${retryAfter}s`, retryAfter);
+};
+
+/**
+ * Record a successful request (the host answered, even if with a 404)
+ * @param {string} host - Hostname
+ */
+export const recordSuccess = (host) => {
+    const circuit = getCircuit(host);
+    if (circuit.state !== 'closed') {
+        console.log(`[Circuit] ${host} recovered, closing`);
+    }
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.cooldown = config.circuitBreaker.cooldown;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+};
+
+/**
+ * Record a failed request (network error, block, rate limit or server error)
+ * @param {string} host - Hostname
+ * @param {Error} error - Failure
+ */
+export const recordFailure = (host, error) => {
+    const circuit = getCircuit(host);
+    circuit.failures++;
+    circuit.lastError = error.message;
+
+    if (circuit.state === 'half-open') {
+        circuit.cooldown = Math.min(circuit.cooldown * 2, config.circuitBreaker.maxCooldown);
+        open(host, circuit);
+    } else if (circuit.state === 'closed' && circuit.failures >= config.circuitBreaker.failureThreshold) {
+        open(host, circuit);
+    }
+};
+
+/**
+ * Check whether a host is currently failing fast
+ * @param {string} host - Hostname
+ * @returns {boolean} True if the circuit is open or half-open
+ */
+export const isCircuitOpen = (host) => {
+    return circuits.has(host) && circuits.get(host).state !== 'closed';
+};
+
+/**
+ * Get circuit states per host
+ * @returns {object} Circuit info keyed by host
+ */
+export const getCircuitStats = () => {
+    const stats = {};
+    for (const [host, circuit] of circuits) {
+        stats[host] = {
+            state: circuit.state,
+            failures: circuit.failures,
+            cooldown: circuit.cooldown,
+            openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+            retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null,
+            lastError: circuit.lastError,
+            opened: circuit.opened,
+            rejected: circuit.rejected
+        };
+    }
+    return stats;
+};
+
+export default { checkCircuit, recordSuccess, recordFailure, isCircuitOpen, getCircuitStats };
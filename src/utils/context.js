@@ -0,0 +1,34 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Per-request context (available in Workers through nodejs_compat)
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {object} context - Context values (e.g. executionCtx)
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of fn
+ */
+export const runWithContext = (context, fn) => {
+    return storage.run(context, fn);
+};
+
+/**
+ * Get the current request context
+ * @returns {object|undefined} Context or undefined outside a request
+ */
+export const getContext = () => {
+    return storage.getStore();
+};
+
+/**
+ * Keep the Worker alive until a background promise settles.
+ * Outside Workers (or without a request) the promise simply runs detached.
+ * @param {Promise} promise - Background work
+ */
+export const waitUntil = (promise) => {
+    const executionCtx = storage.getStore()?.executionCtx;
+    if (executionCtx?.waitUntil) {
+        executionCtx.waitUntil(promise);
+    }
+};
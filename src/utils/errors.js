@@ -0,0 +1,106 @@
+/**
+ * Base class for errors that map to an HTTP response.
+ * Rendered by app.onError as { success: false, error, code } with `status`.
+ */
+export class ApiError extends Error {
+    constructor(message, status = 500, code = 'INTERNAL_ERROR') {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Invalid or missing request parameters
+ */
+export class InvalidInputError extends ApiError {
+    constructor(message) {
+        super(message, 400, 'INVALID_INPUT');
+        this.name = 'InvalidInputError';
+    }
+}
+
+/**
+ * Content confirmed missing upstream (every candidate URL returned 404)
+ */
+export class NotFoundError extends ApiError {
+    constructor(message) {
+        super(message, 404, 'NOT_FOUND');
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Upstream site refused the request (403, usually bot protection)
+ */
+export class BlockedError extends ApiError {
+    constructor(message) {
+        super(message, 403, 'UPSTREAM_BLOCKED');
+        this.name = 'BlockedError';
+    }
+}
+
+/**
+ * Upstream site is rate limiting us (429)
+ */
+export class RateLimitedError extends ApiError {
+    constructor(message, retryAfter = null) {
+        super(message, 429, 'UPSTREAM_RATE_LIMITED');
+        this.name = 'RateLimitedError';
+        this.retryAfter = retryAfter; // Seconds
+    }
+}
+
+/**
+ * Upstream page returned something we could not parse
+ */
+export class ParseError extends ApiError {
+    constructor(message) {
+        super(message, 502, 'PARSE_FAILED');
+        this.name = 'ParseError';
+    }
+}
+
+/**
+ * Upstream request failed (server error, connection error, bad redirect)
+ */
+export class UpstreamError extends ApiError {
+    constructor(message) {
+        super(message, 502, 'UPSTREAM_ERROR');
+        this.name = 'UpstreamError';
+    }
+}
+
+/**
+ * Upstream site unavailable (circuit breaker open), retry after the given delay
+ */
+export class UpstreamUnavailableError extends ApiError {
+    constructor(message, retryAfter) {
+        super(message, 503, 'UPSTREAM_UNAVAILABLE');
+        this.name = 'UpstreamUnavailableError';
+        this.retryAfter = retryAfter; // Seconds
+    }
+}
+
+/**
+ * Upstream site did not answer in time
+ */
+export class UpstreamTimeoutError extends ApiError {
+    constructor(message) {
+        super(message, 504, 'UPSTREAM_TIMEOUT');
+        this.name = 'UpstreamTimeoutError';
+    }
+}
+
+export default {
+    ApiError,
+    InvalidInputError,
+    NotFoundError,
+    BlockedError,
+    RateLimitedError,
+    ParseError,
+    UpstreamError,
+    UpstreamUnavailableError,
+    UpstreamTimeoutError
+};
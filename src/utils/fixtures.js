@@ -0,0 +1,120 @@
+import config from '../../config.js';
+
+// Record/replay storage for upstream responses
+// Fixtures are JSON files named after the request URL, so recorded pages can
+// be inspected and edited by hand. Recording and replaying need a real
+// filesystem (run under Node); "live" mode never touches it.
+
+let mode = config.http.mode;
+let fixturesDir = config.http.fixturesDir;
+
+/**
+ * Switch the transport mode at runtime (e.g. from a test or a script)
+ * @param {string} newMode - "live", "record" or "replay"
+ * @param {string} dir - Fixture directory (optional)
+ */
+export const setTransportMode = (newMode, dir) => {
+    if (!['live', 'record', 'replay'].includes(newMode)) {
+        throw new Error(`Unknown transport mode: ${newMode}`);
+    }
+    mode = newMode;
+    if (dir) fixturesDir = dir;
+};
+
+/**
+ * Get the current transport mode
+ * @returns {string} "live", "record" or "replay"
+ */
+export const getTransportMode = () => mode;
+
+/**
+ * Build the fixture file name for a request
+ * Readable host/path prefix plus a hash of method, full URL and body,
+ * e.g. "toonstream.one_series_naruto-4f9c2a1b.json".
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {any} body - Request body
+ * @returns {Promise<string>} File name
+ */
+export const fixtureName = async (method, url, body) => {
+    const { hostname, pathname } = new URL(url);
+    const readable = `${hostname}${pathname}`
+        .replace(/[^a-z0-9.-]+/gi, '_')
+        .replace(/_+$/, '')
+        .slice(0, 100);
+
+    const input = `${method.toUpperCase()} ${url}${body ? `\n${body.toString()}` : ''}`;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+    const hash = [...new Uint8Array(digest)].slice(0, 4).map(b => b.toString(16).padStart(2, '0')).join('');
+
+    return `${readable}-${hash}.json`;
+};
+
+/**
+ * Load the filesystem modules lazily so Workers never import them in live mode
+ */
+const loadFs = async () => {
+    const [fs, path] = await Promise.all([import('node:fs/promises'), import('node:path')]);
+    return { fs, path };
+};
+
+/**
+ * Read a recorded response
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {any} body - Request body
+ * @returns {Promise<object>} Response in transport format ({ status, url, headers, data })
+ */
+export const loadFixture = async (method, url, body) => {
+    const { fs, path } = await loadFs();
+    const file = path.join(fixturesDir, await fixtureName(method, url, body));
+
+    let fixture;
+    try {
+        fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        const missing = new Error(`No fixture recorded for ${method} ${url} (${file})`);
+        missing.code = 'ENOFIXTURE';
+        throw missing;
+    }
+
+    return {
+        status: fixture.status,
+        url: fixture.finalUrl || fixture.url,
+        headers: new Headers(fixture.headers),
+        data: fixture.data,
+        redirected: Boolean(fixture.finalUrl && fixture.finalUrl !== fixture.url)
+    };
+};
+
+/**
+ * Save a live response as a fixture
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL that was requested
+ * @param {any} body - Request body
+ * @param {object} response - Transport response
+ */
+export const saveFixture = async (method, url, body, response) => {
+    const { fs, path } = await loadFs();
+    const file = path.join(fixturesDir, await fixtureName(method, url, body));
+
+    // Session cookies are not needed for replay and should not be committed
+    const headers = Object.fromEntries(
+        [...response.headers].filter(([name]) => name.toLowerCase() !== 'set-cookie')
+    );
+
+    await fs.mkdir(fixturesDir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+        method,
+        url,
+        finalUrl: response.url,
+        status: response.status,
+        headers,
+        recordedAt: new Date().toISOString(),
+        data: response.data
+    }, null, 2));
+
+    console.log(`[Fixtures] Recorded ${method} ${url} -> ${file}`);
+};
+
+export default { setTransportMode, getTransportMode, fixtureName, loadFixture, saveFixture };
@@ -0,0 +1,290 @@
+import config from '../../config.js';
+import { getTransportMode, loadFixture, saveFixture } from './fixtures.js';
+import { acquire } from './limiter.js';
+
+// Fetch-based HTTP transport for upstream requests
+// Works on the platform fetch in both Workers and Node 18+, with its own
+// cookie jar (for Cloudflare clearance cookies), header profiles,
+// per-request timeouts and manual redirect handling. Live requests hold a
+// per-host limiter slot (see limiter.js) while they are in flight.
+// In "record" mode responses are also saved as fixtures, in "replay" mode
+// they are served from fixtures without touching the network.
+
+/**
+ * Header profiles for the different kinds of upstream requests
+ */
+export const HEADER_PROFILES = {
+    // Full browser navigation, used for toonstream pages
+    document: {
+        'User-Agent': config.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Upgrade-Insecure-Requests': '1',
+        'Sec-Fetch-Dest': 'document',
+        'Sec-Fetch-Mode': 'navigate',
+        'Sec-Fetch-Site': 'none',
+        'Sec-Fetch-User': '?1',
+        'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+        'Sec-Ch-Ua-Mobile': '?0',
+        'Sec-Ch-Ua-Platform': '"Windows"',
+        'Cache-Control': 'max-age=0',
+        'Referer': 'https://www.google.com/'
+    },
+    // Player/trembed pages loaded inside an iframe
+    embed: {
+        'User-Agent': config.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Sec-Fetch-Dest': 'iframe',
+        'Sec-Fetch-Mode': 'navigate',
+        'Sec-Fetch-Site': 'same-origin'
+    },
+    // XHR calls made by the site's own scripts (e.g. admin-ajax.php)
+    ajax: {
+        'User-Agent': config.userAgent,
+        'Accept': '*/*',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+        'X-Requested-With': 'XMLHttpRequest',
+        'Sec-Fetch-Dest': 'empty',
+        'Sec-Fetch-Mode': 'cors',
+        'Sec-Fetch-Site': 'same-origin'
+    }
+};
+
+/**
+ * Minimal cookie jar keyed by domain
+ * Only what is needed to keep upstream session cookies between requests:
+ * name/value, domain and expiry. Paths and secure flags are ignored.
+ */
+class CookieJar {
+    constructor() {
+        this.cookies = new Map(); // domain -> Map(name -> { value, expires })
+    }
+
+    /**
+     * Store cookies from Set-Cookie headers
+     * @param {string} url - URL the response came from
+     * @param {string[]} setCookies - Set-Cookie header values
+     */
+    store(url, setCookies) {
+        const host = new URL(url).hostname;
+
+        for (const header of setCookies) {
+            const [pair, ...attributes] = header.split(';');
+            const separator = pair.indexOf('=');
+            if (separator <= 0) continue;
+
+            const name = pair.slice(0, separator).trim();
+            const value = pair.slice(separator + 1).trim();
+            let domain = host;
+            let expires = null;
+
+            for (const attribute of attributes) {
+                const [key, ...rest] = attribute.split('=');
+                const attrValue = rest.join('=').trim();
+                switch (key.trim().toLowerCase()) {
+                    case 'domain':
+                        domain = attrValue.replace(/^\./, '').toLowerCase() || host;
+                        break;
+                    case 'max-age':
+                        expires = Date.now() + (parseInt(attrValue) * 1000);
+                        break;
+                    case 'expires':
+                        expires = expires ?? Date.parse(attrValue);
+                        break;
+                }
+            }
+
+            if (!this.cookies.has(domain)) {
+                this.cookies.set(domain, new Map());
+            }
+
+            if (expires !== null && expires <= Date.now()) {
+                this.cookies.get(domain).delete(name);
+            } else {
+                this.cookies.get(domain).set(name, { value, expires });
+            }
+        }
+    }
+
+    /**
+     * Build the Cookie header for a URL
+     * @param {string} url - Request URL
+     * @returns {string} Cookie header value (empty if none)
+     */
+    header(url) {
+        const host = new URL(url).hostname;
+        const now = Date.now();
+        const pairs = [];
+
+        for (const [domain, cookies] of this.cookies) {
+            if (host !== domain && !host.endsWith(`.${domain}`)) continue;
+            for (const [name, cookie] of cookies) {
+                if (cookie.expires !== null && cookie.expires <= now) {
+                    cookies.delete(name);
+                    continue;
+                }
+                pairs.push(`${name}=${cookie.value}`);
+            }
+        }
+
+        return pairs.join('; ');
+    }
+
+    clear() {
+        this.cookies.clear();
+    }
+}
+
+// Shared jar so clearance cookies survive between requests in an isolate
+export const cookieJar = new CookieJar();
+
+/**
+ * Normalize a fetch failure into an error with a Node-style code
+ * (ETIMEDOUT for timeouts, the underlying code or ECONNRESET otherwise)
+ */
+const toNetworkError = (error, url, timeout) => {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        const timeoutError = new Error(`timeout of ${timeout}ms exceeded`);
+        timeoutError.code = 'ETIMEDOUT';
+        return timeoutError;
+    }
+
+    const networkError = new Error(error.cause?.message || error.message || `Network error for ${url}`);
+    networkError.code = error.cause?.code || 'ECONNRESET';
+    return networkError;
+};
+
+/**
+ * Perform an HTTP request (live, recording or replaying depending on the transport mode)
+ * Responses are returned for every status code; callers decide what is an error.
+ * @param {string} url - Absolute URL
+ * @param {object} options - Request options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {string} options.profile - Header profile name (default "document")
+ * @param {object} options.headers - Extra headers, override the profile
+ * @param {string|FormData|URLSearchParams} options.body - Request body
+ * @param {number} options.timeout - Timeout in ms for the whole request, redirects included
+ * @param {string} options.redirect - "follow" (default), "manual" or "error"
+ * @param {number} options.maxRedirects - Maximum redirects to follow
+ * @returns {Promise<object>} { status, url, headers, data, redirected }
+ */
+export const request = async (url, options = {}) => {
+    const method = options.method || 'GET';
+    const mode = getTransportMode();
+
+    if (mode === 'replay') {
+        return loadFixture(method, url, options.body);
+    }
+
+    const response = await fetchLive(url, options);
+
+    if (mode === 'record') {
+        await saveFixture(method, url, options.body, response);
+    }
+
+    return response;
+};
+
+/**
+ * Perform a live HTTP request over the network
+ * @param {string} url - Absolute URL
+ * @param {object} options - Request options (see request)
+ * @returns {Promise<object>} { status, url, headers, data, redirected }
+ */
+async function fetchLive(url, options) {
+    const {
+        method = 'GET',
+        profile = 'document',
+        headers = {},
+        body,
+        timeout = config.http.timeout,
+        redirect = 'follow',
+        maxRedirects = config.http.maxRedirects
+    } = options;
+
+    const signal = AbortSignal.timeout(timeout);
+    let currentUrl = url;
+    let currentMethod = method;
+    let currentBody = body;
+
+    for (let redirects = 0; ; redirects++) {
+        const requestHeaders = {
+            ...HEADER_PROFILES[profile],
+            ...headers
+        };
+        const cookie = cookieJar.header(currentUrl);
+        if (cookie) {
+            requestHeaders['Cookie'] = cookie;
+        }
+
+        // Wait for a slot on the host; the request timeout also bounds the wait
+        let release;
+        try {
+            release = await acquire(new URL(currentUrl).hostname, signal);
+        } catch (error) {
+            throw error.code === 'EQUEUETIMEOUT' ? error : toNetworkError(error, currentUrl, timeout);
+        }
+
+        let response;
+        let data;
+        try {
+            try {
+                response = await fetch(currentUrl, {
+                    method: currentMethod,
+                    headers: requestHeaders,
+                    body: currentBody,
+                    redirect: 'manual',
+                    signal
+                });
+            } catch (error) {
+                throw toNetworkError(error, currentUrl, timeout);
+            }
+
+            const setCookies = response.headers.getSetCookie?.() || [];
+            if (setCookies.length > 0) {
+                cookieJar.store(currentUrl, setCookies);
+            }
+
+            const location = response.headers.get('location');
+            const isRedirect = response.status >= 300 && response.status < 400 && location;
+
+            if (isRedirect && redirect !== 'manual') {
+                if (redirect === 'error') {
+                    throw new Error(`Unexpected redirect to ${location}`);
+                }
+                if (redirects >= maxRedirects) {
+                    throw new Error(`Maximum number of redirects exceeded (${maxRedirects})`);
+                }
+
+                // Discard the redirect body and follow (303 and POST->302 become GET)
+                await response.body?.cancel();
+                currentUrl = new URL(location, currentUrl).toString();
+                if (response.status === 303 || ((response.status === 301 || response.status === 302) && currentMethod === 'POST')) {
+                    currentMethod = 'GET';
+                    currentBody = undefined;
+                }
+                continue;
+            }
+
+            try {
+                data = await response.text();
+            } catch (error) {
+                throw toNetworkError(error, currentUrl, timeout);
+            }
+        } finally {
+            release();
+        }
+
+        return {
+            status: response.status,
+            url: currentUrl,
+            headers: response.headers,
+            data,
+            redirected: redirects > 0
+        };
+    }
+}
+
+export default { request, cookieJar, HEADER_PROFILES };
@@ -0,0 +1,83 @@
+import config from '../../config.js';
+import { getContext } from './context.js';
+
+/**
+ * Compute a strong ETag (SHA-256 of the response body)
+ * @param {ArrayBuffer} body - Response body
+ * @returns {Promise<string>} Quoted ETag
+ */
+const computeETag = async (body) => {
+    const digest = await crypto.subtle.digest('SHA-256', body);
+    const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    return `"${hex}"`;
+};
+
+/**
+ * Check an If-None-Match header against an ETag
+ * @param {string|undefined} header - If-None-Match request header
+ * @param {string} etag - Current ETag
+ * @returns {boolean} Whether the client copy is still valid
+ */
+const matchesETag = (header, etag) => {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+};
+
+/**
+ * HTTP caching middleware for GET routes.
+ * Sends Cache-Control matching the scraper's cache profile, a strong ETag
+ * and Last-Modified, and answers matching If-None-Match requests with 304.
+ * Error responses, stale fallbacks and partial values are marked as not cacheable.
+ * @param {object} profile - Cache profile ({ ttl, hardTTL }) from config.cacheProfiles
+ * @returns {Function} Hono middleware
+ */
+export const httpCache = (profile = {}) => {
+    const maxAge = profile.ttl || config.cacheTTL;
+    const hardTTL = Math.max(maxAge, profile.hardTTL || maxAge * config.cache.hardTTLMultiplier);
+    const cacheControl = `public, max-age=${maxAge}, s-maxage=${maxAge}, stale-while-revalidate=${hardTTL - maxAge}`;
+
+    return async (c, next) => {
+        await next();
+
+        if (c.req.method !== 'GET' && c.req.method !== 'HEAD') return;
+
+        // Errors, last-known-good fallbacks and partial values must not be cached downstream
+        if (c.res.status !== 200 || getContext()?.stale || getContext()?.partial) {
+            c.header('Cache-Control', 'no-store');
+            return;
+        }
+
+        // Routes may opt out (e.g. error pages rendered with status 200)
+        if (c.res.headers.has('Cache-Control')) return;
+
+        const etag = await computeETag(await c.res.clone().arrayBuffer());
+        const lastModified = new Date(getContext()?.lastModified || Date.now()).toUTCString();
+
+        if (matchesETag(c.req.header('If-None-Match'), etag)) {
+            c.res = new Response(null, {
+                status: 304,
+                headers: {
+                    'Cache-Control': cacheControl,
+                    'ETag': etag,
+                    'Last-Modified': lastModified
+                }
+            });
+            return;
+        }
+
+        c.header('Cache-Control', cacheControl);
+        c.header('ETag', etag);
+        c.header('Last-Modified', lastModified);
+    };
+};
+
+/**
+ * Middleware for responses that must never be cached (e.g. random picks)
+ */
+export const noStore = async (c, next) => {
+    await next();
+    c.header('Cache-Control', 'no-store');
+};
+
+export default { httpCache, noStore };
@@ -0,0 +1,415 @@
+import config from '../../config.js';
+import { resolveUrl } from './upstream.js';
+
+// Declarative selectors for the upstream site layout
+// Each page type lists its fields as ordered fallback selectors: the first
+// selector that yields a value wins. A field is either a selector list or
+// { selectors, attrs, transform, merge }:
+//   selectors  CSS selectors tried in order; "selector@attr" reads an attribute
+//   attrs      attributes tried in order (text content when omitted)
+//   transform  name(s) from TRANSFORMS applied to the raw value
+//   merge      match all selectors at once (for lists) instead of the first hit
+// "{day}" in a selector is filled from the vars passed by the scraper.
+// Overrides come from config.layouts and the LAYOUT_OVERRIDES binding (JSON),
+// so selectors can be fixed after a theme change without a code deploy.
+
+const IMAGE_ATTRS = ['data-src', 'data-lazy-src', 'src', 'data-original'];
+
+// Site-wide header, menus, sidebars and footer, skipped where page-wide
+// matches would leak in (post headers/footers with the tags are kept)
+const CHROME = ['nav', '.menu', '#menu', 'body > header', '.site-header', '#header', 'aside', '.widget', 'body > footer', '.site-footer', '#footer'];
+
+export const DEFAULT_LAYOUTS = {
+    // Content card found on listings, related sections and schedules
+    card: {
+        link: ['a[href*="/series/"], a[href*="/movies/"], a[href*="/movie/"], a[href*="/cartoons/"], a[href*="/cartoon/"]'],
+        poster: {
+            selectors: ['img', '.poster img', '.thumbnail img', 'figure img', '[class*="image"] img', '[class*="poster"] img'],
+            attrs: IMAGE_ATTRS,
+            transform: 'image'
+        },
+        title: {
+            selectors: ['img@alt', 'img@title', '.title, h2, h3, h4, [class*="title"]'],
+            transform: ['collapse', 'stripImagePrefix']
+        }
+    },
+
+    // Search results, category pages and the home page
+    listing: {
+        items: ['ul.post-lst li'],
+        article: ['article.post'],
+        link: { selectors: ['a.lnk-blk'], attrs: ['href'] },
+        title: { selectors: ['.entry-title, h2.entry-title'], transform: 'stripImagePrefix' },
+        poster: { selectors: ['figure img'], attrs: IMAGE_ATTRS, transform: 'image' },
+        description: ['.description, .excerpt, .summary, p'],
+        rating: ['.vote span:last-child'],
+        pageTitle: ['.page-title, h1, .section-title'],
+        categoryLinks: { selectors: ['nav a[href*="/category/"]', '.menu a[href*="/category/"]'], merge: true },
+        categoryWidgets: { selectors: ['.widget_categories a', '.categories a'], merge: true },
+        // Links into an archive (menus, tag clouds, year and network lists)
+        archiveLinks: { selectors: ['a[href*="{path}/"]'], merge: true }
+    },
+
+    // Series/movie/cartoon detail page
+    detail: {
+        title: ['h1', '.entry-title', '.title', '[class*="title"]'],
+        poster: {
+            selectors: ['.poster img', '.thumbnail img', 'article img', '[class*="poster"] img'],
+            attrs: ['src', 'data-src', 'data-lazy-src'],
+            transform: 'url'
+        },
+        description: { selectors: ['.description', '.synopsis', '.entry-content', '[class*="description"]'], merge: true },
+        rating: { selectors: ['.rating', '.tmdb', '.imdb', '[class*="rating"]'], transform: 'number' },
+        quality: ['.quality', '[class*="quality"]'],
+        runtime: ['.runtime', '.duration', '[class*="runtime"]'],
+        year: {
+            selectors: ['.year', '.date', '[class*="year"]', 'meta[property="video:release_date"]@content'],
+            transform: 'year'
+        },
+        status: ['.status', '.airing-status'],
+        originalTitle: ['.original-title', '[class*="original-title"]', '.entry-header .subtitle'],
+        directors: { selectors: ['.director a', '.directors a', '[class*="director"] a'], merge: true },
+        networks: {
+            selectors: ['.network a', '.networks a', '.studio a', '[class*="network"] a', '[class*="studio"] a'],
+            merge: true
+        },
+        backdrop: {
+            selectors: ['.bghd img', '.backdrop img', '[class*="backdrop"] img', 'img.TPostBg', 'meta[property="og:image"]@content'],
+            attrs: ['data-src', 'src'],
+            transform: 'image'
+        },
+        trailer: {
+            selectors: [
+                '.trailer iframe',
+                '[class*="trailer"] iframe',
+                'a[href*="youtube.com/watch"]',
+                'a[href*="youtu.be/"]',
+                'meta[property="og:video:url"]@content',
+                'meta[property="og:video"]@content'
+            ],
+            attrs: ['data-src', 'src', 'href'],
+            transform: 'url'
+        },
+        // Label/value rows ("Director: ...", "Status: ...") and their labels
+        infoItems: { selectors: ['ul.cast-lst li', '.info-list li', '.details li', '.entry-meta > span'], merge: true },
+        infoLabel: ['span', 'strong', 'b', 'dt'],
+        externalLinks: {
+            selectors: ['a[href*="themoviedb.org/"]', 'a[href*="imdb.com/title/"]'],
+            attrs: ['href'],
+            merge: true
+        },
+        genres: { selectors: ['[rel="category tag"]', '.genres a', '.category a', '[class*="genre"] a'], merge: true },
+        cast: { selectors: ['[href*="/cast_tv/"]', '.cast a'], merge: true },
+        // Category tags and language badges naming the audio languages
+        languages: {
+            selectors: ['[rel="category tag"]', '.languages a', '.language', '[class*="lang-"]', '[class*="audio"]'],
+            merge: true
+        },
+        chrome: CHROME,
+        related: {
+            selectors: ['.related-posts article', '.related-movies article', '.related article', '[class*="related"] article'],
+            merge: true
+        },
+        seasons: { selectors: ['[class*="season"]', '.episodes-list', '[id*="season"]'], merge: true },
+        seasonTitle: ['[class*="season-title"]', 'h2', 'h3'],
+        // Season selector tabs (data-season / data-post) and the post ID fallbacks
+        seasonTabs: ['.choose-season [data-season]', '.sel-temp [data-season]', '[data-season][data-post]'],
+        // WordPress post classes (type-*, category-*) used to classify the content
+        postClasses: ['article[class*="type-"]@class', '[class*="post-"][class*="type-"]@class', 'body@class'],
+        postId: { selectors: ['[data-post]@data-post', 'link[rel="shortlink"]@href', 'body@class'], transform: 'postId' },
+        episodeLinks: ['a[href*="/episode/"]'],
+        episodeItem: ['li, .episode-item']
+    },
+
+    // Episode (and movie player) page
+    episode: {
+        title: ['h1', '.entry-title', '.title'],
+        iframes: {
+            selectors: ['iframe', '[class*="player"] iframe'],
+            attrs: ['data-src', 'src', 'data-lazy-src'],
+            transform: 'url',
+            merge: true
+        },
+        videos: { selectors: ['video source', 'source', 'video'], merge: true },
+        downloads: {
+            selectors: ['a[href*="download"]', '.download-link a', 'a[download]', '[class*="download"] a'],
+            merge: true
+        },
+        languages: { selectors: ['.language-selector option', '.audio-track', '[class*="language"]'], merge: true },
+        chrome: CHROME,
+        // Player panels (one iframe each) and the server tab labelling a panel
+        sourcePanels: ['[id^="options-"]', '.video-player .video'],
+        sourceLabel: ['a[href="#{id}"]', '[data-target="#{id}"]', '[data-tab="{id}"]'],
+        servers: {
+            selectors: ['.server-list button', '.player-option', '[data-server]', '[class*="server"]'],
+            merge: true
+        },
+        // Previous/next episode links and the parent series link
+        navPrev: {
+            selectors: [
+                '.epsdsnv a[href*="/episode/"]:contains("Prev")',
+                'a[rel="prev"][href*="/episode/"]',
+                '.nav-previous a[href*="/episode/"]',
+                'a.prev[href*="/episode/"]'
+            ],
+            attrs: ['href']
+        },
+        navNext: {
+            selectors: [
+                '.epsdsnv a[href*="/episode/"]:contains("Next")',
+                'a[rel="next"][href*="/episode/"]',
+                '.nav-next a[href*="/episode/"]',
+                'a.next[href*="/episode/"]'
+            ],
+            attrs: ['href']
+        },
+        seriesLink: {
+            selectors: [
+                '.epsdsnv a[href*="/series/"], .epsdsnv a[href*="/cartoons/"]',
+                '.breadcrumb a[href*="/series/"], .breadcrumb a[href*="/cartoons/"]'
+            ],
+            attrs: ['href']
+        },
+        player: [
+            'iframe[data-src*="player"], iframe[data-src*="embed"], iframe[data-src*="trembed"], .player iframe, .Video iframe@data-src',
+            'iframe[src*="player"], iframe[src*="embed"], iframe[src*="trembed"], .player iframe, .Video iframe@src'
+        ]
+    },
+
+    // Weekly release schedule (home page section)
+    schedule: {
+        container: { selectors: ['.schedule', '#schedule', '.weekly-schedule', '[class*="schedule"]'], merge: true },
+        day: { selectors: ['[data-day="{day}"]', '.{day}', '#{day}'], merge: true },
+        items: { selectors: ['.item', 'article', '.schedule-item', '.post'], merge: true },
+        time: ['.time', '.release-time']
+    },
+
+    // Page navigation on listings
+    pagination: {
+        current: { selectors: ['.current', '.page-numbers.current', '.pagination .active'], transform: 'int' },
+        pages: { selectors: ['.page-numbers', '.pagination a'], merge: true },
+        next: { selectors: ['.next', '.page-numbers.next', '.pagination .next'], merge: true },
+        prev: { selectors: ['.prev', '.page-numbers.prev', '.pagination .prev'], merge: true }
+    }
+};
+
+/**
+ * Named value transforms (referenced by name so overrides can be plain JSON)
+ */
+const TRANSFORMS = {
+    trim: (value) => value.trim(),
+    collapse: (value) => value.replace(/\s+/g, ' ').trim(),
+    stripImagePrefix: (value) => value.replace(/^Image\s+/i, '').trim(),
+    url: (value) => resolveUrl(value.trim()),
+    image: (value) => /^(http|\/)/.test(value) ? resolveUrl(value.trim()) : value,
+    number: (value) => parseFloat(value.match(/[\d.]+/)?.[0]) || null,
+    int: (value) => parseInt(value.trim()) || null,
+    year: (value) => parseInt(value.match(/\b(19|20)\d{2}\b/)?.[0]) || null,
+    // WordPress post ID from "1234", "?p=1234" or a "postid-1234" body class
+    postId: (value) => value.match(/(?:^|postid-|[?&]p=)(\d+)/)?.[1] || null
+};
+
+/**
+ * Expand a field shorthand (selector list) into a full definition
+ * @param {string|string[]|object} field - Field definition
+ * @returns {object} { selectors, attrs, transform, merge }
+ */
+const normalizeField = (field) => {
+    if (typeof field === 'string' || Array.isArray(field)) {
+        return { selectors: [].concat(field) };
+    }
+    return { ...field, selectors: [].concat(field?.selectors || []) };
+};
+
+/**
+ * Merge layout overrides into the defaults, field by field
+ * @param {object} base - Layouts to start from
+ * @param {object} overrides - { pageType: { field: definition } }
+ * @returns {object} Merged layouts
+ */
+const mergeLayouts = (base, overrides = {}) => {
+    const merged = {};
+    for (const [type, fields] of Object.entries(base)) {
+        merged[type] = { ...fields };
+    }
+
+    for (const [type, fields] of Object.entries(overrides || {})) {
+        if (!merged[type]) {
+            console.warn(`Ignoring layout override for unknown page type "${type}"`);
+            continue;
+        }
+        for (const [name, field] of Object.entries(fields || {})) {
+            const override = normalizeField(field);
+            const current = normalizeField(merged[type][name] || []);
+            merged[type][name] = {
+                ...current,
+                ...override,
+                selectors: override.selectors.length > 0 ? override.selectors : current.selectors
+            };
+        }
+    }
+
+    return merged;
+};
+
+let layouts = mergeLayouts(DEFAULT_LAYOUTS, config.layouts);
+let configured = false;
+
+/**
+ * Apply layout overrides from the Worker bindings.
+ * Bindings are fixed for the lifetime of an isolate, so this only
+ * does work on the first call.
+ * @param {object} env - Worker environment bindings (optional)
+ * @returns {object} Active layouts
+ */
+export const configureLayouts = (env = {}) => {
+    if (configured) return layouts;
+    configured = true;
+
+    const raw = env?.LAYOUT_OVERRIDES;
+    if (raw) {
+        try {
+            const overrides = typeof raw === 'string' ? JSON.parse(raw) : raw;
+            layouts = mergeLayouts(layouts, overrides);
+            console.log(`🧩 Layout overrides applied: ${Object.keys(overrides).join(', ')}`);
+        } catch (error) {
+            console.error('Invalid LAYOUT_OVERRIDES, using default layouts:', error.message);
+        }
+    }
+
+    return layouts;
+};
+
+/**
+ * Get the layout for a page type
+ * @param {string} type - Page type (card, listing, detail, episode, schedule, pagination)
+ * @returns {object} Field definitions
+ */
+export const getLayout = (type) => layouts[type];
+
+/**
+ * Split "selector@attr" into its parts
+ */
+const splitSelector = (entry) => {
+    const at = entry.lastIndexOf('@');
+    return at > 0 ? [entry.slice(0, at).trim(), entry.slice(at + 1).trim()] : [entry, null];
+};
+
+/**
+ * Fill "{name}" placeholders in a selector
+ */
+const fill = (selector, vars) => {
+    return selector.replace(/\{(\w+)\}/g, (_, name) => vars?.[name] ?? '');
+};
+
+/**
+ * Run a selector on the whole document or within a scope
+ */
+const find = ($, scope, selector) => scope ? scope.find(selector) : $(selector);
+
+/**
+ * Read the raw value of an element (attribute fallbacks, or text)
+ */
+const readValue = ($el, attr, attrs) => {
+    if (attr) return $el.attr(attr);
+    if (attrs) {
+        for (const name of attrs) {
+            const value = $el.attr(name);
+            if (value) return value;
+        }
+        return undefined;
+    }
+    return $el.text();
+};
+
+/**
+ * Apply a field's transforms to a raw value
+ */
+const transform = (value, names = 'trim') => {
+    if (value === undefined || value === null) return null;
+    let result = value;
+    for (const name of [].concat(names)) {
+        if (result === null) break;
+        const fn = TRANSFORMS[name];
+        if (!fn) {
+            console.warn(`Unknown layout transform "${name}"`);
+            continue;
+        }
+        result = fn(String(result));
+    }
+    return result;
+};
+
+/**
+ * Get a field's selectors as one CSS selector (for closest(), is() and friends)
+ * @param {string|string[]|object} field - Field definition
+ * @param {object} vars - Placeholder values (optional)
+ * @returns {string} Comma-joined selector
+ */
+export const toSelector = (field, vars) => {
+    return normalizeField(field).selectors
+        .map(entry => fill(splitSelector(entry)[0], vars))
+        .join(', ');
+};
+
+/**
+ * Select the elements for a field
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {Cheerio|null} scope - Element to search within (whole document if null)
+ * @param {string|string[]|object} field - Field definition
+ * @param {object} vars - Placeholder values (optional)
+ * @returns {Cheerio} Matches of the first selector that matches (or of all, with merge)
+ */
+export const query = ($, scope, field, vars) => {
+    const { selectors, merge } = normalizeField(field);
+    const list = selectors.map(entry => fill(splitSelector(entry)[0], vars));
+
+    if (list.length === 0) return $([]);
+    if (merge) return find($, scope, toSelector(field, vars));
+
+    for (const selector of list) {
+        const matches = find($, scope, selector);
+        if (matches.length) return matches;
+    }
+    return $([]);
+};
+
+/**
+ * Extract a single value: the first selector yielding a non-empty value wins
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {Cheerio|null} scope - Element to search within (whole document if null)
+ * @param {string|string[]|object} field - Field definition
+ * @param {object} vars - Placeholder values (optional)
+ * @returns {any} Transformed value or null
+ */
+export const extract = ($, scope, field, vars) => {
+    const { selectors, attrs, transform: names } = normalizeField(field);
+
+    for (const entry of selectors) {
+        const [selector, attr] = splitSelector(entry);
+        const $el = find($, scope, fill(selector, vars)).first();
+        if (!$el.length) continue;
+
+        const value = transform(readValue($el, attr, attrs), names);
+        if (value !== null && value !== '') return value;
+    }
+    return null;
+};
+
+/**
+ * Extract one value per matched element (empty values are skipped)
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {Cheerio|null} scope - Element to search within (whole document if null)
+ * @param {string|string[]|object} field - Field definition
+ * @param {object} vars - Placeholder values (optional)
+ * @returns {any[]} Transformed values
+ */
+export const extractAll = ($, scope, field, vars) => {
+    const { attrs, transform: names } = normalizeField(field);
+    return query($, scope, field, vars)
+        .map((_, el) => transform(readValue($(el), null, attrs), names))
+        .get()
+        .filter(value => value !== null && value !== '');
+};
+
+export default { DEFAULT_LAYOUTS, configureLayouts, getLayout, toSelector, query, extract, extractAll };
@@ -0,0 +1,149 @@
+import config from '../../config.js';
+
+// Per-host concurrency limiter for upstream requests
+// Caps the number of in-flight requests to each host and spaces request
+// starts by a minimum interval, so batch lookups and embed fan-outs do not
+// hit the site in bursts. Waiting requests are queued in FIFO order and
+// rejected if they wait longer than the queue timeout.
+
+const hosts = new Map(); // host -> limiter state
+
+/**
+ * Get the limits for a host (per-host overrides on top of the defaults)
+ * @param {string} host - Hostname
+ * @returns {object} { maxConcurrent, minInterval, queueTimeout }
+ */
+const getLimits = (host) => {
+    const { hosts: overrides = {}, ...defaults } = config.http.limiter;
+    return { ...defaults, ...overrides[host] };
+};
+
+/**
+ * Get (or create) the state for a host
+ * @param {string} host - Hostname
+ * @returns {object} Limiter state
+ */
+const getHost = (host) => {
+    if (!hosts.has(host)) {
+        hosts.set(host, {
+            limits: getLimits(host),
+            active: 0,
+            queue: [],
+            lastStart: 0,
+            timer: null,
+            // Metrics
+            started: 0,
+            timedOut: 0,
+            peakQueued: 0,
+            totalWait: 0
+        });
+    }
+    return hosts.get(host);
+};
+
+/**
+ * Start as many queued requests as the host's limits allow
+ * @param {object} state - Limiter state
+ */
+const pump = (state) => {
+    const { maxConcurrent, minInterval } = state.limits;
+
+    while (state.queue.length > 0 && state.active < maxConcurrent && !state.timer) {
+        const wait = state.lastStart + minInterval - Date.now();
+        if (wait > 0) {
+            // Too soon after the previous start: try again once the interval has passed
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                pump(state);
+            }, wait);
+            return;
+        }
+
+        const waiter = state.queue.shift();
+        waiter.start();
+    }
+};
+
+/**
+ * Wait for a free slot for a host
+ * @param {string} host - Hostname
+ * @param {AbortSignal} signal - Aborts the wait (e.g. the request timeout)
+ * @returns {Promise<Function>} Release function, must be called when the request is done
+ */
+export const acquire = (host, signal) => {
+    const state = getHost(host);
+    const enqueuedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+        let timer;
+
+        const waiter = {
+            start: () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+
+                state.active++;
+                state.started++;
+                state.lastStart = Date.now();
+                state.totalWait += state.lastStart - enqueuedAt;
+
+                let released = false;
+                resolve(() => {
+                    if (released) return;
+                    released = true;
+                    state.active--;
+                    pump(state);
+                });
+            }
+        };
+
+        const leave = (error) => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            const index = state.queue.indexOf(waiter);
+            if (index !== -1) state.queue.splice(index, 1);
+            reject(error);
+        };
+
+        const onAbort = () => leave(signal.reason);
+
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        timer = setTimeout(() => {
+            state.timedOut++;
+            const error = new Error(`Upstream queue timeout for ${host} after ${state.limits.queueTimeout}ms`);
+            error.code = 'EQUEUETIMEOUT';
+            leave(error);
+        }, state.limits.queueTimeout);
+        signal?.addEventListener('abort', onAbort);
+
+        state.queue.push(waiter);
+        state.peakQueued = Math.max(state.peakQueued, state.queue.length);
+        pump(state);
+    });
+};
+
+/**
+ * Get queue depth and throughput metrics per host
+ * @returns {object} Metrics keyed by host
+ */
+export const getLimiterStats = () => {
+    const stats = {};
+    for (const [host, state] of hosts) {
+        stats[host] = {
+            ...state.limits,
+            active: state.active,
+            queued: state.queue.length,
+            peakQueued: state.peakQueued,
+            started: state.started,
+            timedOut: state.timedOut,
+            avgWait: state.started > 0 ? Math.round(state.totalWait / state.started) : 0
+        };
+    }
+    return stats;
+};
+
+export default { acquire, getLimiterStats };
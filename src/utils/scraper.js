@@ -1,65 +1,212 @@
-import axios from 'axios';
-import { wrapper } from 'axios-cookiejar-support';
-import { CookieJar } from 'tough-cookie';
 import * as cheerio from 'cheerio';
 import config from '../../config.js';
+import { request } from './http.js';
+import { checkCircuit, recordSuccess, recordFailure } from './circuitBreaker.js';
+import {
+    ApiError,
+    NotFoundError,
+    BlockedError,
+    RateLimitedError,
+    UpstreamError,
+    UpstreamUnavailableError,
+    UpstreamTimeoutError
+} from './errors.js';
+import { getMirrors, buildUrl, resolveUrl, isUpstreamUrl, setActiveMirror } from './upstream.js';
+import { getLayout, query, extract, toSelector } from './layouts.js';
+
+// Network error codes worth retrying (timeouts and dropped connections)
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN'];
+
+// HTTP statuses worth retrying (429 only when the server sends Retry-After)
+const RETRYABLE_STATUSES = [502, 503, 504];
 
-// Create axios instance with cookie jar support
-const jar = new CookieJar();
-const client = wrapper(axios.create({
-    jar,
-    timeout: 30000,
-    maxRedirects: 5,
-    validateStatus: (status) => status < 500,
-}));
+/**
+ * Whether a failed fetch means the upstream site is unhealthy
+ * (counted by the circuit breaker) rather than a missing page
+ * @param {Error} error - Final error from fetchPage
+ * @returns {boolean} True for network errors, 403, 429 and 5xx
+ */
+const isUpstreamFailure = (error) => {
+    if (error instanceof UpstreamUnavailableError) return true;
+    if (!error.status) return error.code !== 'EQUEUETIMEOUT';
+    return error.status === 403 || error.status === 429 || error.status >= 500;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string} header - Retry-After header value
+ * @returns {number|null} Delay in milliseconds
+ */
+const parseRetryAfter = (header) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Decide whether a failed attempt should be retried and after how long
+ * @param {Error} error - Error from the attempt
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number|null} Delay in milliseconds, or null if not retryable
+ */
+const getRetryDelay = (error, attempt) => {
+    const { retryDelay, retryMaxDelay } = config.serverless;
+    const status = error.status;
+
+    if (status === 429) {
+        return parseRetryAfter(error.retryAfter);
+    }
+
+    if (!RETRYABLE_STATUSES.includes(status) && !RETRYABLE_CODES.includes(error.code)) {
+        return null;
+    }
+
+    // Exponential backoff with jitter: between 50% and 100% of the capped delay
+    const delay = Math.min(retryMaxDelay, retryDelay * (2 ** attempt));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+/**
+ * Turn a transport error into a typed API error
+ * @param {Error} error - Transport error (status = upstream HTTP status, code = network error code)
+ * @returns {ApiError} Typed error
+ */
+export const toApiError = (error) => {
+    if (error instanceof ApiError) return error;
+
+    const message = `Failed to fetch page: ${error.message}`;
+    if (error.status === 404) return new NotFoundError(message);
+    if (error.status === 403) return new BlockedError(message);
+    if (error.status === 429) {
+        const delay = parseRetryAfter(error.retryAfter);
+        return new RateLimitedError(message, delay === null ? null : Math.ceil(delay / 1000));
+    }
+    if (error.code === 'ETIMEDOUT' || error.code === 'EQUEUETIMEOUT') return new UpstreamTimeoutError(message);
+    return new UpstreamError(message);
+};
 
 /**
  * Fetch a page with Cloudflare bypass
- * @param {string} url - URL to fetch
- * @param {object} options - Additional options
+ * Site paths (and links to any mirror) are tried on each configured mirror in
+ * order, moving on when a mirror is unreachable, blocking us or has its
+ * circuit open. The mirror that answers becomes the active one for links.
+ * @param {string} url - Site path or absolute URL
+ * @param {object} options - Additional options (method, body, profile, headers, deadline, retryAttempts)
  * @returns {Promise<string>} HTML content
+ * @throws {ApiError} NotFoundError, BlockedError, RateLimitedError, UpstreamTimeoutError,
+ *   UpstreamUnavailableError or UpstreamError
  */
 export const fetchPage = async (url, options = {}) => {
-    try {
-        const fullUrl = url.startsWith('http') ? url : `${config.baseUrl}${url}`;
-
-        const response = await client.get(fullUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Accept-Encoding': 'gzip, deflate, br',
-                'Connection': 'keep-alive',
-                'Upgrade-Insecure-Requests': '1',
-                'Sec-Fetch-Dest': 'document',
-                'Sec-Fetch-Mode': 'navigate',
-                'Sec-Fetch-Site': 'none',
-                'Sec-Fetch-User': '?1',
-                'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-                'Sec-Ch-Ua-Mobile': '?0',
-                'Sec-Ch-Ua-Platform': '"Windows"',
-                'Cache-Control': 'max-age=0',
-                'Referer': 'https://www.google.com/',
-                ...options.headers
-            },
-            ...options
-        });
-
-        if (response.status === 403) {
-            console.error(`403 Forbidden for ${fullUrl}`);
-            throw new Error(`Access denied (403). The website may be blocking automated requests.`);
+    const deadline = Date.now() + (options.deadline || config.serverless.deadline);
+
+    // Other hosts are fetched as-is, upstream pages by path on every mirror
+    const path = !url.startsWith('http') ? url : isUpstreamUrl(url) ? url.replace(/^https?:\/\/[^/]+/, '') : null;
+    const candidates = path === null ? [url] : getMirrors().map(mirror => buildUrl(path, mirror));
+
+    let lastError;
+    for (const fullUrl of candidates) {
+        try {
+            const html = await fetchWithRetry(fullUrl, options, deadline);
+            if (path !== null) setActiveMirror(new URL(fullUrl).origin);
+            return html;
+        } catch (error) {
+            lastError = error;
+            // A missing page is missing on every mirror; only an unhealthy site is worth failing over
+            if (!isUpstreamFailure(error) || Date.now() >= deadline) break;
+            if (candidates.length > 1) {
+                console.warn(`Mirror failed for ${fullUrl}, trying next: ${error.message}`);
+            }
         }
+    }
+
+    // Every mirror failing fast (circuit open) is passed through as is, so
+    // routes can answer 503 or serve stale data
+    if (!(lastError instanceof UpstreamUnavailableError)) {
+        console.error(`Error fetching page ${url}:`, lastError.message);
+    }
+    throw toApiError(lastError);
+};
 
-        if (response.status >= 400) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+/**
+ * Fetch a URL through its host's circuit breaker
+ * Transient failures (timeouts, connection resets, 502/503/504 and 429 with
+ * Retry-After) are retried with exponential backoff within the deadline.
+ * Fails fast with UpstreamUnavailableError while the circuit is open.
+ * @param {string} fullUrl - Absolute URL
+ * @param {object} options - Additional options
+ * @param {number} deadline - Overall deadline (epoch ms)
+ * @returns {Promise<string>} HTML content
+ */
+async function fetchWithRetry(fullUrl, options, deadline) {
+    const host = new URL(fullUrl).hostname;
+    const maxAttempts = 1 + (options.retryAttempts ?? config.serverless.retryAttempts);
+
+    checkCircuit(host);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const html = await fetchOnce(fullUrl, options, deadline);
+            recordSuccess(host);
+            return html;
+        } catch (error) {
+            const delay = getRetryDelay(error, attempt);
+            const canRetry = delay !== null &&
+                attempt + 1 < maxAttempts &&
+                Date.now() + delay < deadline;
+
+            if (!canRetry) {
+                if (isUpstreamFailure(error)) {
+                    recordFailure(host, error);
+                } else if (error.status) {
+                    // The site answered (e.g. 404), so it is up
+                    recordSuccess(host);
+                }
+                throw error;
+            }
+
+            console.warn(`Retrying ${fullUrl} in ${delay}ms (attempt ${attempt + 2}/${maxAttempts}): ${error.message}`);
+            await sleep(delay);
         }
+    }
+}
 
-        return response.data;
-    } catch (error) {
-        console.error(`Error fetching page ${url}:`, error.message);
-        throw new Error(`Failed to fetch page: ${error.message}`);
+/**
+ * Single fetch attempt
+ * @param {string} fullUrl - Absolute URL
+ * @param {object} options - Additional options
+ * @param {number} deadline - Overall deadline (epoch ms)
+ * @returns {Promise<string>} HTML content
+ */
+async function fetchOnce(fullUrl, options, deadline) {
+    const response = await request(fullUrl, {
+        method: options.method,
+        profile: options.profile || 'document',
+        headers: options.headers,
+        body: options.body,
+        // Never let a single attempt run past the overall deadline
+        timeout: Math.max(1, Math.min(config.serverless.timeout, deadline - Date.now()))
+    });
+
+    if (response.status === 403) {
+        console.error(`403 Forbidden for ${fullUrl}`);
+        const error = new Error(`Access denied (403). The website may be blocking automated requests.`);
+        error.status = 403;
+        throw error;
+    }
+
+    if (response.status >= 400) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = response.headers.get('retry-after');
+        throw error;
     }
-};
+
+    return response.data;
+}
 
 /**
  * Parse HTML content
@@ -77,9 +224,7 @@ export const parseHTML = (html) => {
  */
 export const normalizeImageUrl = (url) => {
     if (!url) return null;
-    if (url.startsWith('http')) return url;
-    if (url.startsWith('//')) return `https:${url}`;
-    if (url.startsWith('/')) return `${config.baseUrl}${url}`;
+    if (url.startsWith('http') || url.startsWith('/')) return resolveUrl(url);
     return url;
 };
 
@@ -90,9 +235,7 @@ export const normalizeImageUrl = (url) => {
  */
 export const normalizeUrl = (url) => {
     if (!url) return null;
-    if (url.startsWith('http')) return url;
-    if (url.startsWith('/')) return `${config.baseUrl}${url}`;
-    return `${config.baseUrl}/${url}`;
+    return resolveUrl(url);
 };
 
 /**
@@ -134,6 +277,47 @@ export const extractAnimeId = (url) => {
     return null;
 };
 
+/**
+ * Collect the WordPress post classes of a list item or card
+ * (its own classes plus those of the post element inside it)
+ * @param {Cheerio} $element - Cheerio element
+ * @returns {string} Space-separated classes
+ */
+export const collectClasses = ($element) => {
+    const own = $element.attr('class') || '';
+    const inner = $element.find('[class*="type-"], [class*="category-"]').first().attr('class') || '';
+    return `${own} ${inner}`.trim();
+};
+
+/**
+ * Classify content as series, movie or cartoon from page signals:
+ * WordPress post classes (type-*, category-cartoon*), the URL path
+ * (/series/, /movies/, /cartoons/) and category names.
+ * Movies stay movies even in a cartoon category.
+ * @param {object} signals - { url, classes, categories }
+ * @returns {string|null} "series", "movie", "cartoon" or null when unknown
+ */
+export const classifyContent = ({ url = '', classes = '', categories = [] } = {}) => {
+    const classList = String(classes || '').split(/\s+/);
+    const path = String(url || '');
+
+    if (classList.some(c => /^type-movies?$/.test(c)) || /\/movies?\//.test(path)) {
+        return 'movie';
+    }
+
+    if (classList.some(c => /^type-cartoons?$|^category-cartoons?(-|$)/.test(c)) ||
+        /\/cartoons?\//.test(path) ||
+        categories.some(name => /^cartoons?$/i.test(String(name).trim()))) {
+        return 'cartoon';
+    }
+
+    if (classList.includes('type-series') || /\/series\//.test(path)) {
+        return 'series';
+    }
+
+    return null;
+};
+
 /**
  * Extract anime card data from element
  * @param {Cheerio} $element - Cheerio element
@@ -142,8 +326,10 @@ export const extractAnimeId = (url) => {
  */
 export const extractAnimeCard = ($element, $) => {
     try {
+        const layout = getLayout('card');
+
         // Find the main link
-        const link = $element.find('a[href*="/series/"], a[href*="/movies/"], a[href*="/movie/"], a[href*="/cartoons/"], a[href*="/cartoon/"]').first();
+        const link = query($, $element, layout.link).first();
         if (!link.length) return null;
 
         let url = link.attr('href');
@@ -161,44 +347,11 @@ export const extractAnimeCard = ($element, $) => {
         const idData = extractAnimeId(url);
         if (!idData) return null;
 
-        // Extract poster image - try multiple selectors
-        let poster = null;
-        const imgSelectors = [
-            'img',
-            '.poster img',
-            '.thumbnail img',
-            'figure img',
-            '[class*="image"] img',
-            '[class*="poster"] img'
-        ];
-
-        for (const selector of imgSelectors) {
-            const img = $element.find(selector).first();
-            if (img.length) {
-                poster = img.attr('data-src') ||
-                    img.attr('data-lazy-src') ||
-                    img.attr('src') ||
-                    img.attr('data-original');
-                if (poster) break;
-            }
-        }
-
-        poster = normalizeImageUrl(poster);
-
-        // Extract title from various possible locations
-        const img = $element.find('img').first();
-        let title = img.attr('alt') ||
-            img.attr('title') ||
-            $element.find('.title, h2, h3, h4, [class*="title"]').first().text().trim() ||
-            link.attr('title') ||
-            link.text().trim() ||
-            '';
+        const poster = extract($, $element, layout.poster);
 
-        // Clean title - remove "Image" prefix and extra whitespace
-        title = title
-            .replace(/^Image\s+/i, '')
-            .replace(/\s+/g, ' ')
-            .trim();
+        // Title from the card, falling back to the link itself
+        const title = extract($, $element, layout.title) ||
+            cleanText(link.attr('title') || link.text()).replace(/^Image\s+/i, '');
 
         if (!title) return null;
 
@@ -207,7 +360,7 @@ export const extractAnimeCard = ($element, $) => {
             title,
             url,
             poster,
-            type: idData.type
+            type: classifyContent({ url, classes: collectClasses($element) }) || idData.type
         };
     } catch (error) {
         console.error('Error extracting anime card:', error);
@@ -230,23 +383,17 @@ export const extractEpisodeInfo = ($element, $) => {
         // Extract ID from URL: /episode/anime-id-episode-num/
         // Example: /episode/doraemon-1x1/ -> doraemon-1x1
         let id = null;
-        let type = 'episode';
         if (url) {
             const match = url.match(/\/episode\/([^\/]+)/);
             if (match) {
                 id = match[1];
-                // Determine if it's a cartoon episode
-                const titleLower = title.toLowerCase();
-                const idLower = id.toLowerCase();
-                if (titleLower.includes('doraemon') || idLower.includes('doraemon') ||
-                    titleLower.includes('pokemon') || idLower.includes('pokemon') ||
-                    titleLower.includes('cartoon') || idLower.includes('cartoon') ||
-                    titleLower.includes('ben 10') || idLower.includes('ben-10')) {
-                    type = 'cartoon';
-                }
             }
         }
 
+        // Cartoon episodes are marked by their item's category classes here;
+        // scrapeAnimeDetails also applies the parent series' type
+        const type = classifyContent({ classes: collectClasses($element) }) === 'cartoon' ? 'cartoon' : 'episode';
+
         // Parse season and episode number from ID or title
         let season = 1;
         let number = 0;
@@ -272,7 +419,9 @@ export const extractEpisodeInfo = ($element, $) => {
             url,
             season,
             number,
-            type
+            type,
+            // Languages shown on the episode item (e.g. dub badges)
+            languages: detectLanguages($element.text())
         };
     } catch (error) {
         console.error('Error extracting episode info:', error);
@@ -294,14 +443,12 @@ export const extractPagination = ($) => {
             hasPrevPage: false
         };
 
-        // Try to find pagination elements
-        const currentPageEl = $('.current, .page-numbers.current, .pagination .active');
-        if (currentPageEl.length) {
-            pagination.currentPage = parseInt(currentPageEl.text().trim()) || 1;
-        }
+        const layout = getLayout('pagination');
+
+        pagination.currentPage = extract($, null, layout.current) || 1;
 
         // Find all page numbers
-        const pageNumbers = $('.page-numbers, .pagination a').map((_, el) => {
+        const pageNumbers = query($, null, layout.pages).map((_, el) => {
             const num = parseInt($(el).text().trim());
             return isNaN(num) ? 0 : num;
         }).get();
@@ -311,8 +458,8 @@ export const extractPagination = ($) => {
         }
 
         // Check for next/prev links
-        pagination.hasNextPage = $('.next, .page-numbers.next, .pagination .next').length > 0;
-        pagination.hasPrevPage = $('.prev, .page-numbers.prev, .pagination .prev').length > 0;
+        pagination.hasNextPage = query($, null, layout.next).length > 0;
+        pagination.hasPrevPage = query($, null, layout.prev).length > 0;
 
         return pagination;
     } catch (error) {
@@ -336,6 +483,108 @@ export const cleanText = (text) => {
     return text.replace(/\s+/g, ' ').trim();
 };
 
+// Alias (lowercase) -> language name, built from config.languages on first use
+let languageAliases = null;
+let languagePattern = null;
+
+const getLanguagePattern = () => {
+    if (!languagePattern) {
+        languageAliases = {};
+        for (const [name, aliases] of Object.entries(config.languages)) {
+            for (const alias of [name, ...aliases]) {
+                languageAliases[alias.toLowerCase()] = name;
+            }
+        }
+        // Longest aliases first so "Bangla" is not cut short by a shorter alias
+        const alternatives = Object.keys(languageAliases)
+            .sort((a, b) => b.length - a.length)
+            .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        languagePattern = new RegExp(`(?<![a-z])(${alternatives.join('|')})(?![a-z])`, 'gi');
+    }
+    return languagePattern;
+};
+
+/**
+ * Detect the audio languages (from config.languages) named in a text
+ * Only pass text that belongs to the content itself (tags, badges, server
+ * labels): page-wide text includes the site menu, which lists every language.
+ * @param {string} text - Text to scan (tag, badge, label, class list or title)
+ * @returns {string[]} Language names, e.g. ["Hindi", "English"]
+ */
+export const detectLanguages = (text) => {
+    const languages = [];
+    const matches = String(text || '').match(getLanguagePattern()) || [];
+    matches.forEach(match => {
+        const name = languageAliases[match.toLowerCase()];
+        if (!languages.includes(name)) {
+            languages.push(name);
+        }
+    });
+    return languages;
+};
+
+/**
+ * Detect the languages named by the matches of a layout field,
+ * ignoring matches inside the site chrome (menus, header, footer, sidebars)
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {object} layout - Page layout with the field and a `chrome` field
+ * @param {string} field - Field name, e.g. "languages"
+ * @returns {string[]} Language names
+ */
+export const detectLayoutLanguages = ($, layout, field) => {
+    const chrome = toSelector(layout.chrome);
+    const texts = [];
+    query($, null, layout[field]).each((_, el) => {
+        const $el = $(el);
+        if (chrome && $el.closest(chrome).length > 0) return;
+        texts.push($el.text(), $el.attr('value') || '', $el.attr('href') || '');
+    });
+    return detectLanguages(texts.join(' '));
+};
+
+/**
+ * Parse a runtime into minutes
+ * Handles "24 min", "1h 30m", "1 hr 45 min", ISO 8601 durations ("PT1H30M")
+ * and bare numbers (minutes).
+ * @param {string} text - Runtime text
+ * @returns {number|null} Minutes
+ */
+export const parseRuntime = (text) => {
+    if (!text) return null;
+    const value = String(text).trim();
+
+    const hours = value.match(/(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?(?![a-z])/i);
+    const minutes = value.match(/(\d+)\s*m(?:in(?:ute)?s?)?(?![a-z])/i);
+    if (hours || minutes) {
+        return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1]) : 0)) || null;
+    }
+
+    const plain = value.match(/^(\d+)$/);
+    return plain ? parseInt(plain[1]) : null;
+};
+
+/**
+ * Extract JSON-LD nodes from the page (@graph containers are flattened)
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {object[]} Structured data nodes
+ */
+export const extractJsonLd = ($) => {
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            const data = JSON.parse($(el).contents().text());
+            for (const item of [].concat(data)) {
+                nodes.push(...(Array.isArray(item?.['@graph']) ? item['@graph'] : [item]));
+            }
+        } catch {
+            // Ignore malformed blocks, other sources still apply
+        }
+    });
+
+    return nodes.filter(node => node && typeof node === 'object');
+};
+
 /**
  * Extract slug from URL
  * @param {string} url - URL
@@ -369,10 +618,8 @@ export const decodeHTMLEntities = (text) => {
  * @returns {string|null} Player URL
  */
 export const extractPlayerUrl = ($) => {
-    // Prioritize data-src, then src, then data-lazy-src
-    // Look in common player containers
-    let src = $('iframe[data-src*="player"], iframe[data-src*="embed"], iframe[data-src*="trembed"], .player iframe, .Video iframe').attr('data-src')
-        || $('iframe[src*="player"], iframe[src*="embed"], iframe[src*="trembed"], .player iframe, .Video iframe').attr('src');
+    // Prioritize data-src, then src, in common player containers
+    let src = extract($, null, getLayout('episode').player);
 
     if (!src) {
         // Fallback search
@@ -387,9 +634,8 @@ export const extractPlayerUrl = ($) => {
 
     if (src) {
         src = decodeHTMLEntities(src);
-        if (src.startsWith('//')) src = `https:${src}`;
-        else if (src.startsWith('/')) src = `https://toonstream.one${src}`;
-        else if (src.startsWith('http://')) src = src.replace('http://', 'https://');
+        if (src.startsWith('http://')) src = src.replace('http://', 'https://');
+        src = resolveUrl(src);
     }
 
     return src;
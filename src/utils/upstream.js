@@ -0,0 +1,122 @@
+import config from '../../config.js';
+
+// Upstream site mirrors and URL building
+// Every absolute URL pointing at the upstream site is built here, so the
+// site can move domains (or fail over to a mirror) without code changes.
+// Links found on any known mirror are rewritten to the mirror currently in
+// use, so returned url/poster fields match the site that served the page.
+
+let mirrors = parseMirrors(config.upstream.mirrors);
+let activeMirror = mirrors[0];
+let configured = false;
+
+/**
+ * Parse a mirror list (array or comma-separated string) into origins
+ * @param {string|string[]} value - Mirror URLs
+ * @returns {string[]} Origins without trailing slash, e.g. "https://toonstream.one"
+ */
+function parseMirrors(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const origins = [];
+
+    for (const entry of list) {
+        try {
+            const origin = new URL(entry.trim()).origin;
+            if (!origins.includes(origin)) origins.push(origin);
+        } catch {
+            if (entry.trim()) console.warn(`Ignoring invalid upstream mirror "${entry}"`);
+        }
+    }
+
+    return origins;
+}
+
+/**
+ * Select the mirror list from configuration and Worker bindings.
+ * Bindings are fixed for the lifetime of an isolate, so this only
+ * does work on the first call.
+ * @param {object} env - Worker environment bindings (optional)
+ * @returns {string[]} Mirrors in order of preference
+ */
+export const configureUpstream = (env = {}) => {
+    if (configured) return mirrors;
+    configured = true;
+
+    if (env?.UPSTREAM_MIRRORS) {
+        const fromEnv = parseMirrors(env.UPSTREAM_MIRRORS);
+        if (fromEnv.length > 0) {
+            mirrors = fromEnv;
+            activeMirror = mirrors[0];
+        }
+    }
+
+    console.log(`🌐 Upstream mirrors: ${mirrors.join(', ')}`);
+    return mirrors;
+};
+
+/**
+ * Get the configured mirrors in order of preference
+ * @returns {string[]} Mirror origins
+ */
+export const getMirrors = () => mirrors;
+
+/**
+ * Get the mirror that served the latest successful request
+ * @returns {string} Mirror origin
+ */
+export const getBaseUrl = () => activeMirror;
+
+/**
+ * Switch to the mirror that answered (called by fetchPage after failover or recovery)
+ * @param {string} mirror - Mirror origin
+ */
+export const setActiveMirror = (mirror) => {
+    if (mirror === activeMirror) return;
+    console.warn(`[Upstream] Switching from ${activeMirror} to ${mirror}`);
+    activeMirror = mirror;
+};
+
+/**
+ * Check whether a URL points at one of the upstream mirrors
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True for mirror URLs
+ */
+export const isUpstreamUrl = (url) => {
+    try {
+        const { hostname } = new URL(url);
+        return mirrors.some(mirror => new URL(mirror).hostname === hostname);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Build an absolute upstream URL from a site path
+ * @param {string} path - Path such as "/series/naruto/"
+ * @param {string} base - Mirror origin (defaults to the active mirror)
+ * @returns {string} Absolute URL
+ */
+export const buildUrl = (path = '/', base = activeMirror) => {
+    return `${base}${path.startsWith('/') ? path : `/${path}`}`;
+};
+
+/**
+ * Resolve a link found on an upstream page.
+ * Relative and protocol-relative links are made absolute, and links to any
+ * known mirror are rewritten to the active one. Other hosts are left alone.
+ * @param {string} url - Link (absolute, protocol-relative or site-relative)
+ * @returns {string|null} Absolute URL
+ */
+export const resolveUrl = (url) => {
+    if (!url) return null;
+    if (url.startsWith('//')) url = `https:${url}`;
+    if (!/^https?:\/\//i.test(url)) return buildUrl(url);
+
+    if (isUpstreamUrl(url)) {
+        const { pathname, search, hash } = new URL(url);
+        return `${activeMirror}${pathname}${search}${hash}`;
+    }
+    return url;
+};
+
+export default { configureUpstream, getMirrors, getBaseUrl, setActiveMirror, isUpstreamUrl, buildUrl, resolveUrl };
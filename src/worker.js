@@ -1,3 +1,7 @@
 import app from './app.js';
+import { handleScheduled } from './scheduled.js';
 
-export default app;
+export default {
+    fetch: app.fetch,
+    scheduled: handleScheduled
+};
@@ -0,0 +1,77 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeAnimeDetails } from '../src/scrapers/anime.js';
+import { inspectCache } from '../src/utils/cache.js';
+import config from '../config.js';
+import { NotFoundError } from '../src/utils/errors.js';
+
+test('scrapeAnimeDetails reads the series metadata', async () => {
+    const data = await scrapeAnimeDetails('naruto-shippuden');
+
+    assert.equal(data.title, 'Naruto Shippuden');
+    assert.equal(data.type, 'series');
+    assert.equal(data.year, 2007);
+    assert.equal(data.rating, 8.5);
+    assert.equal(data.runtimeMinutes, 24);
+    assert.equal(data.status, 'Ended');
+    assert.deepEqual(data.languages, ['Hindi', 'Japanese']);
+    assert.deepEqual(data.cast.map(member => member.slug), ['junko-takeuchi', 'chie-nakamura']);
+    assert.deepEqual(data.related.map(anime => anime.id), ['boruto-naruto-next-generations']);
+});
+
+test('scrapeAnimeDetails loads the seasons not rendered on the page', async () => {
+    const data = await scrapeAnimeDetails('naruto-shippuden');
+
+    assert.equal(data.partial, false);
+    assert.deepEqual(data.seasonList, [
+        { number: 1, title: 'Season 1', episodeCount: 3 },
+        { number: 2, title: 'Season 2', episodeCount: 2 }
+    ]);
+    assert.equal(data.totalEpisodes, 5);
+    assert.deepEqual(data.seasons[2].map(episode => episode.id), ['naruto-shippuden-2x1', 'naruto-shippuden-2x2']);
+    assert.equal(data.seasons[2][0].season, 2);
+});
+
+test('scrapeAnimeDetails ignores episode links in the sidebar', async () => {
+    const data = await scrapeAnimeDetails('naruto-shippuden');
+    const ids = Object.values(data.seasons).flat().map(episode => episode.id);
+
+    assert.ok(!ids.includes('other-show-3x7'));
+    assert.ok(!ids.includes('another-1x9'));
+    assert.equal(data.seasons[3], undefined);
+});
+
+test('scrapeAnimeDetails loads the episodes of content found under /cartoons/', async () => {
+    const data = await scrapeAnimeDetails('shinchan');
+
+    assert.equal(data.type, 'cartoon');
+    assert.equal(data.url, 'https://toonstream.one/cartoons/shinchan/');
+    assert.equal(data.totalEpisodes, 2);
+    assert.deepEqual(data.seasonList, [{ number: 1, title: 'Season 1', episodeCount: 2 }]);
+    assert.ok(data.seasons[1].every(episode => episode.type === 'cartoon'));
+});
+
+test('scrapeAnimeDetails reports a season that failed to load and caches the result briefly', async () => {
+    const data = await scrapeAnimeDetails('bleach');
+
+    assert.equal(data.partial, true);
+    assert.deepEqual(data.seasonList, [
+        { number: 1, title: 'Season 1', episodeCount: 1 },
+        { number: 2, title: 'Season 2', episodeCount: null, failed: true }
+    ]);
+
+    const entry = await inspectCache('content:bleach:auto');
+    assert.ok(entry.ttl <= config.cacheProfiles.partial.ttl);
+});
+
+test('scrapeAnimeDetails throws NotFoundError when no content path exists', async () => {
+    await assert.rejects(scrapeAnimeDetails('missing-show'), NotFoundError);
+});
+
+test('scrapeAnimeDetails repeats the original message for IDs known to be missing', async () => {
+    const message = 'Content not found: missing-show (tried: series, movies, cartoons)';
+
+    await assert.rejects(scrapeAnimeDetails('missing-show'), { message });
+    await assert.rejects(scrapeAnimeDetails('missing-show'), { message });
+});
@@ -0,0 +1,24 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { browseContent, loadBrowse } from '../src/scrapers/browse.js';
+import { runWithContext } from '../src/utils/context.js';
+
+test('browseContent filters the type listing by the type of each card', async () => {
+    const data = await browseContent({ type: 'series' });
+
+    assert.deepEqual(data.results.map(anime => anime.id), ['naruto-shippuden', 'one-piece', 'attack-on-titan', 'bleach']);
+    assert.equal(data.exhaustive, true);
+    assert.equal(data.stale, undefined);
+});
+
+test('browseContent reports stale per request and never stores it in the cached entry', async () => {
+    const data = await runWithContext({ stale: true }, () => browseContent({ type: 'series' }));
+    assert.equal(data.stale, true);
+
+    const cached = await loadBrowse({ type: 'series' });
+    assert.equal(cached.stale, undefined);
+
+    const later = await runWithContext({}, () => browseContent({ type: 'series' }));
+    assert.equal(later.stale, undefined);
+});
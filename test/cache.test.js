@@ -0,0 +1,20 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withCache, inspectCache } from '../src/utils/cache.js';
+import config from '../config.js';
+
+test('withCache stores complete values for the profile TTL', async () => {
+    await withCache('test:complete', { ttl: 3600 }, async () => ({ partial: false }));
+    const entry = await inspectCache('test:complete');
+
+    assert.ok(entry.ttl > config.cacheProfiles.partial.ttl);
+});
+
+test('withCache stores partial values under the short partial profile', async () => {
+    await withCache('test:partial', { ttl: 3600 }, async () => ({ partial: true }));
+    const entry = await inspectCache('test:partial');
+
+    assert.ok(entry.ttl <= config.cacheProfiles.partial.ttl);
+    assert.ok(entry.hardTTL <= config.cacheProfiles.partial.hardTTL);
+});
@@ -0,0 +1,18 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeCategory } from '../src/scrapers/categories.js';
+
+test('scrapeCategory returns each title once with the category name', async () => {
+    const data = await scrapeCategory('anime-series');
+
+    assert.equal(data.category, 'anime-series');
+    assert.equal(data.categoryName, 'Anime Series');
+    assert.deepEqual(data.results.map(anime => anime.id), ['naruto-shippuden', 'one-piece', 'attack-on-titan']);
+});
+
+test('scrapeCategory reads the pagination links', async () => {
+    const { pagination } = await scrapeCategory('anime-series');
+
+    assert.deepEqual(pagination, { currentPage: 1, totalPages: 3, hasNextPage: true, hasPrevPage: false });
+});
@@ -0,0 +1,31 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeHome } from '../src/scrapers/home.js';
+
+test('scrapeHome splits the listings into series and movies', async () => {
+    const data = await scrapeHome();
+
+    assert.deepEqual(data.latestSeries.map(anime => anime.id), ['naruto-shippuden', 'one-piece', 'doraemon']);
+    assert.deepEqual(data.latestMovies.map(anime => anime.id), ['your-name']);
+
+    const [naruto] = data.latestSeries;
+    assert.equal(naruto.title, 'Naruto Shippuden');
+    assert.equal(naruto.url, 'https://toonstream.one/series/naruto-shippuden/');
+    assert.equal(naruto.poster, 'https://toonstream.one/wp-content/uploads/naruto-shippuden.jpg');
+});
+
+test('scrapeHome classifies cartoons filed under /series/ by their category', async () => {
+    const data = await scrapeHome();
+    const doraemon = data.latestSeries.find(anime => anime.id === 'doraemon');
+
+    assert.equal(doraemon.type, 'cartoon');
+});
+
+test('scrapeHome reads the schedule section', async () => {
+    const data = await scrapeHome();
+
+    assert.deepEqual(Object.keys(data.schedule), ['monday', 'friday']);
+    assert.deepEqual(data.schedule.monday.map(anime => anime.id), ['one-piece', 'naruto-shippuden']);
+    assert.equal(data.schedule.friday[0].releaseTime, 'at 06:00 PM');
+});
@@ -0,0 +1,16 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeSchedule } from '../src/scrapers/schedule.js';
+
+test('scrapeSchedule groups the schedule by day with normalized times', async () => {
+    const { schedule } = await scrapeSchedule();
+
+    assert.deepEqual(Object.keys(schedule), ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']);
+    assert.deepEqual(schedule.monday.map(anime => [anime.id, anime.releaseTime]), [
+        ['one-piece', '09:30 PM'],
+        ['naruto-shippuden', '10:00 PM']
+    ]);
+    assert.deepEqual(schedule.friday.map(anime => [anime.id, anime.type]), [['doraemon', 'cartoon']]);
+    assert.equal(schedule.sunday.length, 0);
+});
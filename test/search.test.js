@@ -0,0 +1,38 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeSearch } from '../src/scrapers/search.js';
+
+test('scrapeSearch returns content results and skips category links', async () => {
+    const data = await scrapeSearch('naruto');
+
+    assert.equal(data.success, true);
+    assert.equal(data.keyword, 'naruto');
+    assert.deepEqual(data.results.map(result => result.id), ['naruto-shippuden', 'naruto-the-movie-ninja-clash', 'naruto-kids-shorts']);
+});
+
+test('scrapeSearch reads type, rating, description and Hindi availability', async () => {
+    const { results: [series, movie] } = await scrapeSearch('naruto');
+
+    assert.equal(series.type, 'series');
+    assert.equal(series.rating, '8.5');
+    assert.equal(series.hasHindi, true);
+    assert.match(series.description, /^Naruto returns/);
+
+    assert.equal(movie.type, 'movie');
+    assert.equal(movie.title, 'Naruto the Movie: Ninja Clash');
+    assert.equal(movie.hasHindi, false);
+});
+
+test('scrapeSearch classifies results from the post classes inside the item, like cards', async () => {
+    const { results } = await scrapeSearch('naruto');
+    const shorts = results.find(result => result.id === 'naruto-kids-shorts');
+
+    assert.equal(shorts.type, 'cartoon');
+});
+
+test('scrapeSearch reports a single page without pagination links', async () => {
+    const { pagination } = await scrapeSearch('naruto');
+
+    assert.deepEqual(pagination, { currentPage: 1, totalPages: 1, hasNextPage: false, hasPrevPage: false });
+});
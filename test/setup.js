@@ -0,0 +1,9 @@
+import { fileURLToPath } from 'node:url';
+import { setTransportMode } from '../src/utils/fixtures.js';
+
+// Test suites import this module first: every upstream request is served
+// from test/fixtures/, so the suites never touch the network. A request
+// without a fixture fails with code ENOFIXTURE.
+export const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+setTransportMode('replay', FIXTURES_DIR);
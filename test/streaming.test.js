@@ -0,0 +1,35 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeEpisodeStreaming } from '../src/scrapers/streaming.js';
+
+test('scrapeEpisodeStreaming reads the player sources and their languages', async () => {
+    const data = await scrapeEpisodeStreaming('naruto-shippuden-1x3');
+
+    assert.equal(data.title, 'Naruto Shippuden 1x3');
+    assert.equal(data.season, 1);
+    assert.equal(data.episode, 3);
+    assert.deepEqual(data.sources.map(source => [source.url, source.languages]), [
+        ['https://toonstream.one/home/?trembed=0&trid=5678&trtype=2', ['Hindi', 'Japanese']],
+        ['https://toonstream.one/home/?trembed=1&trid=5678&trtype=2', ['English']]
+    ]);
+    assert.deepEqual(data.languages, ['Hindi', 'Japanese', 'English']);
+});
+
+test('scrapeEpisodeStreaming fills the missing next link from the series episode list', async () => {
+    const data = await scrapeEpisodeStreaming('naruto-shippuden-1x3');
+
+    assert.equal(data.seriesId, 'naruto-shippuden');
+    assert.equal(data.previousEpisodeId, 'naruto-shippuden-1x2');
+    assert.equal(data.nextEpisodeId, 'naruto-shippuden-2x1');
+    assert.deepEqual(data.position, { season: 1, index: 3, total: 3 });
+});
+
+test('scrapeEpisodeStreaming takes both links from the page and leaves position null', async () => {
+    const data = await scrapeEpisodeStreaming('one-piece-1x5');
+
+    assert.equal(data.seriesId, 'one-piece');
+    assert.equal(data.previousEpisodeId, 'one-piece-1x4');
+    assert.equal(data.nextEpisodeId, 'one-piece-1x6');
+    assert.equal(data.position, null);
+});